@@ -9,39 +9,441 @@
 
 /**
  *
- * Perform a fetch request to the WP Rest API. Set's the correct headers
- * in order to validate the request.
+ * Error for responses with a non OK HTTP status. When the response body is a
+ * WP REST error (`{ code, message, data }`), its values are exposed on the error.
  *
+ */
+export class ApiError extends Error {
+
+  /**
+   * @param  {Response} response Failed response
+   * @param  {Object}   body     Parsed JSON body of the response, if any
+   */
+  constructor(response, body = {}) {
+    super(body.message || `Request failed with status ${ response.status }`)
+    this.name = 'ApiError'
+    this.status = response.status
+    this.code = body.code || null
+    this.data = body.data || null
+    this.response = response
+  }
+}
+
+/**
+ *
+ * Error for requests that didn't get a response (ie: offline, DNS or CORS failures)
+ *
+ */
+export class NetworkError extends Error {
+
+  /**
+   * @param  {Error} cause Original error thrown by fetch
+   */
+  constructor(cause) {
+    super(cause && cause.message ? cause.message : 'Network request failed')
+    this.name = 'NetworkError'
+    this.cause = cause
+  }
+}
+
+
+/**
+ * Default retry options, see `apiFetch`
+ * @type {Object}
+ */
+const retryDefaults = {
+
+  /**
+   * Maximum number of attempts, including the first request
+   * @type {Number}
+   */
+  attempts: 3,
+
+  /**
+   * Base delay in milliseconds, doubled after each attempt
+   * @type {Number}
+   */
+  delay: 500,
+
+  /**
+   * Maximum delay in milliseconds between attempts, `Retry-After` included
+   * @type {Number}
+   */
+  maxDelay: 10000,
+
+  /**
+   * HTTP statuses that should be retried
+   * @type {Array}
+   */
+  statuses: [ 429, 502, 503, 504 ],
+
+  /**
+   * Whether requests that didn't get a response (`NetworkError`) should be retried
+   * @type {Boolean}
+   */
+  networkErrors: true
+}
+
+
+/**
+ * Default client options, see `apiClientFactory`
+ * @type {Object}
+ */
+const clientDefaults = {
+
+  /**
+   * URL prepended to every endpoint (ie: 'https://example.com/wp-json/')
+   * @type {String}
+   */
+  baseURL: '',
+
+  /**
+   * Headers added to every request
+   * @type {Object}
+   */
+  headers: {},
+
+  /**
+   * Authentication, one of:
+   * - `{ nonce }` for cookie authentication (`X-WP-Nonce` header)
+   * - `{ username, password }` for basic authentication (ie: application passwords)
+   * - `{ token }` for bearer tokens (ie: JWT)
+   * - A function returning a headers object
+   * @type {Object|Function|Null}
+   */
+  auth: null,
+
+  /**
+   * Credentials mode of the requests
+   * @type {String}
+   */
+  credentials: 'same-origin',
+
+  /**
+   * Fetch implementation, defaults to the global `fetch`
+   * @type {Function|Null}
+   */
+  fetch: null
+}
+
+/**
+ * Client used by `apiFetch`, see `defaultClient()`
+ * @type {Object|null}
+ */
+let sharedClient = null
+
+
+/**
+ *
+ * Creates an API client, which performs fetch requests to a WP Rest API.
+ * Set's the correct headers in order to validate the request.
+ *
+ * Requests reject with a `NetworkError` if there is no response, or an `ApiError`
+ * if the response status is not OK. Aborted requests reject with the
+ * original `AbortError`.
+ *
+ * GET requests can be retried when they fail with a transient error, waiting
+ * between attempts with an exponential backoff (with jitter) or for as long
+ * as the response's `Retry-After` header asks.
+ *
+ * Usage:
+ *
+ * ```
+ * const client = apiClientFactory({
+ *   baseURL: 'https://example.com/wp-json/',
+ *   auth: { username: 'editor', password: 'xxxx xxxx xxxx xxxx' }
+ * })
+ *
+ * client.fetch('wp/v2/posts?per_page=3')
+ *   .then(res => res.json())
+ * ```
+ *
+ * @param  {Object} options Client options, see `clientDefaults`
+ * @return {Object} API client instance
+ *
+ */
+export function apiClientFactory(options = {}) {
+
+  const { baseURL, headers, auth, credentials, fetch: fetchImpl } = Object.assign({}, clientDefaults, options)
+
+  /**
+   * Perform a single fetch request
+   *
+   * @param  {String} endpoint The url to be requested
+   * @param  {String} method   Request method
+   * @param  {Object} body     Request body
+   * @param  {AbortSignal} signal Signal used to abort the request
+   * @return {Promise}         Promise containing the request response
+   */
+  const send = (endpoint, method, body, signal) => {
+
+    const requestHeaders = Object.assign({}, authHeaders(auth), headers)
+
+    if(!(body instanceof FormData)) {
+      requestHeaders['Content-Type'] = 'application/json'
+    }
+
+    return (fetchImpl || fetch)(baseURL + endpoint, {
+      credentials: credentials,
+      method: method,
+      body: body instanceof FormData ?
+        body :
+        (method == 'post') ?
+          JSON.stringify(body) :
+          undefined,
+      headers: new Headers(requestHeaders),
+      signal: signal
+    })
+    .then(handleError, error => {
+      throw isAbortError(error) ? error : new NetworkError(error)
+    })
+  }
+
+  return {
+
+    /**
+     * URL prepended to the endpoints
+     * @type {String}
+     */
+    baseURL,
+
+    /**
+     *
+     * Perform a request
+     *
+     * @param  {String} endpoint The url to be requested, relative to `baseURL`
+     * @param  {String} method   Request method to use ('get' or 'post')
+     * @param  {Object} body     Request body, to be used in 'post' request when sending FormData
+     * @param  {Object} options  Additional request options
+     * @param  {AbortSignal} options.signal Signal used to abort the request
+     * @param  {Object|Boolean} options.retry Retry options (see `retryDefaults`), `true` to use the defaults
+     * @return {Promise}         Promise containing the request response
+     *
+     */
+    fetch(endpoint, method = 'get', body = {}, { signal, retry = false } = {}) {
+
+      const request = () => send(endpoint, method, body, signal)
+
+      if(!retry || method.toLowerCase() != 'get') {
+        return request()
+      }
+
+      const options = Object.assign({}, retryDefaults, retry === true ? {} : retry)
+
+      const attempt = count => request()
+        .catch(error => {
+
+          if(count >= options.attempts || !isRetryable(error, options)) {
+            throw error
+          }
+
+          return wait(retryDelay(error, count, options), signal)
+            .then(() => attempt(count + 1))
+        })
+
+      return attempt(1)
+    }
+  }
+
+}
+
+/**
+ *
+ * Get the default client, configured from the `Global.api` & `Global.nonce`
+ * window variables. Created on first use.
+ *
+ * @return {Object} API client instance
+ *
+ */
+export function defaultClient() {
+
+  if(!sharedClient) {
+    sharedClient = apiClientFactory({
+      baseURL: Global.api,
+      auth: { nonce: Global.nonce }
+    })
+  }
+
+  return sharedClient
+}
+
+/**
+ *
+ * Perform a fetch request to the WP Rest API with the default client.
+ * See `apiClientFactory`
  *
  * @param  {String} endpoint The url to be requested
  * @param  {String} method   Request method to use ('get' or 'post')
  * @param  {Object} body     Request body, to be used in 'post' request when sending FormData
+ * @param  {Object} options  Additional request options ({ signal, retry })
  * @return {Promise}         Promise containing the request response
  *
  */
 
-export default function apiFetch(endpoint, method = 'get', body = {}) {
+export default function apiFetch(endpoint, method = 'get', body = {}, options = {}) {
+  return defaultClient().fetch(endpoint, method, body, options)
+}
 
-  const headers = {
-    'X-WP-Nonce': Global.nonce
+/**
+ *
+ * Get the authentication headers for the `auth` client option
+ *
+ * @param  {Object|Function|Null} auth Authentication option
+ * @return {Object} Headers object
+ *
+ */
+function authHeaders(auth) {
+
+  if(!auth) {
+    return {}
   }
 
-  if(!(body instanceof FormData)) {
-    headers['Content-Type'] = 'application/json'
+  if(typeof auth == 'function') {
+    return auth()
+  }
+
+  if(auth.nonce) {
+    return { 'X-WP-Nonce': auth.nonce }
+  }
+
+  if(auth.token) {
+    return { 'Authorization': `Bearer ${ auth.token }` }
+  }
+
+  if(auth.username) {
+    return { 'Authorization': `Basic ${ btoa(auth.username + ':' + (auth.password || '')) }` }
+  }
+
+  return {}
+}
+
+/**
+ *
+ * Reject responses with a non OK status with an `ApiError`
+ *
+ * @param  {Response} res Fetch response
+ * @return {Response|Promise} The response if OK, otherwise a rejected promise
+ *
+ */
+function handleError(res) {
+
+  if(res.ok) {
+    return res
+  }
+
+  return res.clone().json()
+    .catch(() => ({}))
+    .then(body => {
+      throw new ApiError(res, body || {})
+    })
+}
+
+/**
+ *
+ * Check if a failed request should be retried
+ *
+ * @param  {Error}  error   Request error
+ * @param  {Object} options Retry options
+ * @return {Boolean}
+ *
+ */
+function isRetryable(error, { statuses, networkErrors }) {
+  return error instanceof ApiError ?
+    statuses.indexOf(error.status) > -1 :
+    error instanceof NetworkError && networkErrors
+}
+
+/**
+ *
+ * Get the time to wait before the next attempt. Uses the `Retry-After` header
+ * (in seconds or as an HTTP date) if present, otherwise an exponential backoff
+ * with jitter.
+ *
+ * @param  {Error}  error   Request error
+ * @param  {Number} count   Number of attempts performed so far
+ * @param  {Object} options Retry options
+ * @return {Number} Delay in milliseconds
+ *
+ */
+function retryDelay(error, count, { delay, maxDelay }) {
+
+  const retryAfter = error.response ? error.response.headers.get('Retry-After') : null
+
+  if(retryAfter) {
+
+    const ms = isNaN(retryAfter) ?
+      Date.parse(retryAfter) - Date.now() :
+      parseFloat(retryAfter) * 1000
+
+    if(!isNaN(ms)) {
+      return Math.min(Math.max(ms, 0), maxDelay)
+    }
   }
 
-  const key = endpoint + method + JSON.stringify(body)
+  const backoff = Math.min(delay * Math.pow(2, count - 1), maxDelay)
+
+  return backoff / 2 + Math.random() * backoff / 2
+}
+
+/**
+ *
+ * Wait for a given time, rejecting with an `AbortError` if the signal aborts
+ *
+ * @param  {Number} ms Time to wait in milliseconds
+ * @param  {AbortSignal} signal Optional abort signal
+ * @return {Promise}
+ *
+ */
+function wait(ms, signal) {
 
-  return fetch(Global.api + endpoint, {
-    credentials: 'same-origin',
-    method: method,
-    body: body instanceof FormData ?
-      body :
-      (method == 'post') ?
-        JSON.stringify(body) :
-        undefined,
-    headers: new Headers(headers)
+  return new Promise((resolve, reject) => {
+
+    if(signal && signal.aborted) {
+      return reject(abortError())
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeout)
+      reject(abortError())
+    }
+
+    const timeout = setTimeout(() => {
+      // The signal is shared by the query's requests, don't keep a listener per retry
+      if(signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+
+      resolve()
+    }, ms)
+
+    if(signal) {
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
   })
-  .then(handleError)
+}
+
+/**
+ *
+ * Create an error flagged as an aborted request (see `isAbortError`)
+ *
+ * @param  {String} message Error message
+ * @return {Error} Error named `AbortError`
+ *
+ */
+export function abortError(message = 'The request was aborted') {
+  const error = new Error(message)
+  error.name = 'AbortError'
+  return error
+}
 
+/**
+ *
+ * Check if an error is the result of an aborted request
+ *
+ * @param  {Error}  error Error to check
+ * @return {Boolean} Whether the request was aborted
+ *
+ */
+export function isAbortError(error) {
+  return !!error && error.name == 'AbortError'
 }
@@ -0,0 +1,150 @@
+/**
+ *
+ * Cache
+ *
+ * Key/value store used to keep the results of requests around. The store can
+ * be bounded to a maximum number of entries, in which case the least recently
+ * used entries get evicted first, & each entry can expire after a given time.
+ *
+ * Usage:
+ *
+ * ```
+ * const cache = cacheFactory({ maxEntries: 20, ttl: 60000 })
+ *
+ * cache.set('wp/v2/posts?page=1', value)
+ * cache.get('wp/v2/posts?page=1') // value, or undefined once expired/evicted
+ *
+ * cache.invalidate('wp/v2/posts') // Delete all the keys containing the string
+ * cache.invalidate(/page=1$/)     // Delete all the keys matching the RegExp
+ * ```
+ *
+ */
+
+/**
+ * Cache defaults
+ * @type {Object}
+ */
+const defaults = {
+
+  /**
+   * Maximum number of entries to keep, 0 for unlimited
+   * @type {Number}
+   */
+  maxEntries: 0,
+
+  /**
+   * Time in milliseconds after which an entry expires, 0 to never expire
+   * @type {Number}
+   */
+  ttl: 0
+}
+
+/**
+ *
+ * Creates a cache instance
+ *
+ * @param  {Object} options Cache options
+ * @param  {Number} options.maxEntries Maximum number of entries to keep
+ * @param  {Number} options.ttl Time to live of each entry in milliseconds
+ * @return {Object} Cache instance
+ *
+ */
+export default function cacheFactory(options = {}) {
+
+  const { maxEntries, ttl } = Object.assign({}, defaults, options)
+
+  /**
+   * Entries, in order of least to most recently used
+   * @type {Map}
+   */
+  const entries = new Map()
+
+  const isExpired = entry => ttl > 0 && Date.now() - entry.time > ttl
+
+  return {
+
+    /**
+     * Get the value of a key, marking it as the most recently used
+     *
+     * @param  {String} key Key to look for
+     * @return {Any} Value or undefined if missing or expired
+     */
+    get(key) {
+
+      const entry = entries.get(key)
+
+      if(!entry) {
+        return
+      }
+
+      entries.delete(key)
+
+      if(isExpired(entry)) {
+        return
+      }
+
+      entries.set(key, entry)
+
+      return entry.value
+    },
+
+    /**
+     * Set the value of a key, evicting the least recently used entries
+     * if the cache is full
+     *
+     * @param {String} key   Key to set
+     * @param {Any}    value Value to store
+     * @return {null}
+     */
+    set(key, value) {
+
+      entries.delete(key)
+      entries.set(key, { value, time: Date.now() })
+
+      while(maxEntries > 0 && entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+
+    /**
+     * Delete a single key
+     * @param  {String} key Key to delete
+     * @return {null}
+     */
+    delete(key) {
+      entries.delete(key)
+    },
+
+    /**
+     * Delete all the entries whose key matches the pattern
+     *
+     * @param  {String|RegExp|Function} pattern Either a string the key should contain, a
+     * RegExp to test the key against, or a function receiving the key. If omitted, all entries are deleted.
+     * @return {null}
+     */
+    invalidate(pattern) {
+
+      const matches = typeof pattern == 'function' ?
+        pattern :
+        pattern instanceof RegExp ?
+          // `search` ignores the `lastIndex` of global & sticky patterns
+          key => key.search(pattern) > -1 :
+          pattern !== undefined ?
+            key => key.indexOf(pattern) > -1 :
+            () => true
+
+      Array.from(entries.keys())
+        .filter(key => matches(key))
+        .map(key => entries.delete(key))
+    },
+
+    /**
+     * Number of entries currently stored (expired entries included until accessed)
+     * @return {Number}
+     */
+    size() {
+      return entries.size
+    }
+  }
+
+}
@@ -0,0 +1,167 @@
+/**
+ *
+ * Facet Counts
+ *
+ * Counts the results each taxonomy term would produce with a listing's
+ * current query (search term & other filters included).
+ *
+ * By default each term is counted with its own `per_page=1` request to the
+ * listing's endpoint, reading the `X-WP-Total` header. The requests are
+ * cached & only a few run at once. Alternatively, an `aggregate` endpoint
+ * can return all the counts at once: it receives the listing's query & a
+ * `facets` parameter (comma separated taxonomies) & should return the counts
+ * by taxonomy & term, ie: `{ "categories": { "12": 4, "15": 0 } }`.
+ *
+ * Usage:
+ *
+ * ```
+ * const counts = facetCountsFactory({ pathname: 'wp/v2/posts' })
+ *
+ * counts.count({ search: 'climate' }, { categories: [ '12', '15' ] })
+ *   .then(counts => {
+ *     // { categories: { 12: 4, 15: 0 } }
+ *   })
+ * ```
+ *
+ */
+
+import { requestMixin } from './mixins'
+import { serializeObject, mapObject } from './utils'
+
+/**
+ * Facet counts defaults
+ * @type {Object}
+ */
+const defaults = {
+
+  /**
+   * Pathname of the counted endpoint, usually the listing's
+   * @type {String}
+   */
+  pathname: '',
+
+  /**
+   * Pathname of an aggregation endpoint returning all the counts at once, null counts
+   * each term with the `X-WP-Total` header of the `pathname` endpoint
+   * @type {String|Null}
+   */
+  aggregate: null,
+
+  /**
+   * Maximum number of count requests running at once
+   * @type {Number}
+   */
+  concurrency: 4,
+
+  /**
+   * Request cache options, see `cacheFactory`
+   * @type {Object|Boolean}
+   */
+  cache: { maxEntries: 200 },
+
+  /**
+   * API client performing the requests, null uses the default client
+   * @type {Object|Null}
+   */
+  client: null
+}
+
+/**
+ *
+ * Creates a facet counts instance
+ *
+ * @implements {requestMixin}
+ *
+ * @param  {Object} options Facet counts options, see `defaults`
+ * @return {Object} Facet counts instance
+ *
+ */
+export default function facetCountsFactory(options = {}) {
+
+  const { pathname, aggregate, concurrency, cache, client } = Object.assign({}, defaults, options)
+
+  return Object.assign(requestMixin({ cache, client }), {
+
+    /**
+     * Count the results of a single term, replacing the taxonomy's current value.
+     * An empty value counts the results without the taxonomy filter
+     *
+     * @param  {Object} params   Query parameters of the listing
+     * @param  {String} taxonomy Taxonomy query parameter
+     * @param  {String} value    Term value
+     * @return {Promise} Resolves with the count, null if unknown
+     */
+    countTerm(params, taxonomy, value) {
+
+      const query = Object.assign({}, params, { per_page: 1, page: 1 })
+
+      if(value === '') {
+        delete query[taxonomy]
+      } else {
+        query[taxonomy] = value
+      }
+
+      return this.fetch(pathname + '?' + serializeObject(query))
+        .then(res => {
+          const total = parseInt(res.headers.get('X-WP-Total'))
+          return isNaN(total) ? null : total
+        })
+    },
+
+    /**
+     * Count the results of the terms of one or more taxonomies
+     *
+     * @param  {Object} params Query parameters of the listing
+     * @param  {Object} terms  Term values to count, by taxonomy (ie: `{ categories: [ '12', '15' ] }`)
+     * @return {Promise} Resolves with the counts by taxonomy & term value. Terms that
+     * couldn't be counted are null
+     */
+    count(params = {}, terms = {}) {
+
+      if(aggregate) {
+        return this.fetch(aggregate + '?' + serializeObject(Object.assign({}, params, {
+          facets: Object.keys(terms).join(',')
+        })))
+          .then(res => res.json())
+      }
+
+      const counts = {}
+      const tasks = []
+
+      mapObject(terms, (taxonomy, values) => {
+
+        counts[taxonomy] = {}
+
+        values.map(value => tasks.push(() => this.countTerm(params, taxonomy, value)
+          .catch(() => null)
+          .then(count => counts[taxonomy][value] = count)))
+      })
+
+      return runTasks(tasks, concurrency).then(() => counts)
+    }
+  })
+}
+
+/**
+ * Run promise returning tasks, with a maximum number of them running at once
+ *
+ * @param  {Array}  tasks       Functions returning a promise
+ * @param  {Number} concurrency Maximum number of tasks running at once
+ * @return {Promise} Resolves once all the tasks are done
+ */
+function runTasks(tasks, concurrency) {
+
+  let next = 0
+
+  const worker = () => next < tasks.length ?
+    tasks[next++]().then(worker) :
+    Promise.resolve()
+
+  const workers = []
+
+  for(let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+    workers.push(worker())
+  }
+
+  return Promise.all(workers)
+}
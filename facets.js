@@ -0,0 +1,293 @@
+/**
+ *
+ * Facets
+ *
+ * Filter controls generated from the terms of a taxonomy REST route (ie:
+ * `wp/v2/categories`), instead of hand written `[data-taxonomy]` inputs.
+ *
+ * The terms are rendered into a container as checkboxes, radios or a select,
+ * hierarchical taxonomies keep their parent/child order & each term gets its
+ * depth. The generated controls have the same `[data-taxonomy]` &
+ * `[data-listing]` attributes as the hand written toggles, so the search view
+ * binds them in the same way (see `bindFacets`). Elements with a
+ * `[data-facetCount]` attribute inside the control's label display the term's
+ * result count, if the listing has `facetCounts` enabled.
+ *
+ * Usage:
+ *
+ * ```
+ * const facet = facetFactory({
+ *   route: 'wp/v2/categories',
+ *   taxonomy: 'categories',
+ *   listing: 'posts',
+ *   rootEl: document.querySelector('[data-facet]'),
+ *   type: 'checkbox'
+ * })
+ *
+ * facet.load().then(controls => {
+ *   // Bind the controls
+ * })
+ * ```
+ *
+ */
+
+import { templateMixin } from './mixins'
+import { defaultClient } from './apiFetch'
+import { createElement, serializeObject, collection } from './utils'
+import html from './html'
+
+/**
+ * Facet defaults
+ * @type {Object}
+ */
+const defaults = {
+
+  /**
+   * REST route returning the terms (ie: 'wp/v2/categories')
+   * @type {String}
+   */
+  route: '',
+
+  /**
+   * Query parameter the facet sets on the listing's endpoint (ie: 'categories')
+   * @type {String}
+   */
+  taxonomy: '',
+
+  /**
+   * Name of the listing the facet filters
+   * @type {String}
+   */
+  listing: '',
+
+  /**
+   * Container the controls get rendered into
+   * @type {HTMLElement|Null}
+   */
+  rootEl: null,
+
+  /**
+   * Control type: 'checkbox' (multiple terms), 'radio' or 'select' (single term)
+   * @type {String}
+   */
+  type: 'checkbox',
+
+  /**
+   * Term field used as the control's value, the WP Rest taxonomy parameters expect ids
+   * @type {String}
+   */
+  value: 'id',
+
+  /**
+   * Keep the parent/child order of the terms, children follow their parent
+   * @type {Boolean}
+   */
+  hierarchical: true,
+
+  /**
+   * Query parameters of the terms request, all pages are loaded
+   * @type {Object}
+   */
+  query: {
+    per_page: 100,
+    hide_empty: true
+  },
+
+  /**
+   * Label of the option clearing the facet, for 'radio' & 'select' facets
+   * @type {String}
+   */
+  allLabel: 'All',
+
+  /**
+   * Term template, receives the term & a context object (`{ value, depth, type, name, taxonomy,
+   * listing }`) & should return a single root element's markup: a label containing the input for
+   * 'checkbox' & 'radio' facets, an `<option>` for 'select' facets. Null uses the default templates
+   * @type {Function|Null}
+   */
+  template: null,
+
+  /**
+   * API client used to fetch the terms (see `apiClientFactory`), null uses the default client
+   * @type {Object|Null}
+   */
+  client: null
+}
+
+/**
+ * Default template of 'checkbox' & 'radio' facets
+ *
+ * @param  {Object} term    WP term
+ * @param  {Object} context Template context
+ * @return {String} Markup
+ */
+function inputTemplate(term, { value, depth, type, name, taxonomy, listing }) {
+  return html`
+    <label class="facet__option facet__option--depth-${ depth }">
+      <input type="${ type }" name="${ name }" value="${ value }" data-taxonomy="${ taxonomy }" data-listing="${ listing }">
+      <span class="facet__label">${ term.name }</span>
+      <span class="facet__count" data-facetCount></span>
+    </label>
+  `
+}
+
+/**
+ * Default template of 'select' facets
+ *
+ * @param  {Object} term    WP term
+ * @param  {Object} context Template context
+ * @return {String} Markup
+ */
+function optionTemplate(term, { value, depth }) {
+  return html`<option value="${ value }">${ '— '.repeat(depth) }${ term.name }</option>`
+}
+
+/**
+ *
+ * Order terms for display. Hierarchical terms are ordered depth first, children
+ * following their parent, terms whose parent isn't in the list are top level.
+ *
+ * @param  {Array}   terms        WP terms
+ * @param  {Boolean} hierarchical Whether to keep the parent/child order
+ * @return {Array} Terms & their depth (`{ term, depth }`)
+ *
+ */
+export function sortTerms(terms = [], hierarchical = true) {
+
+  if(!hierarchical) {
+    return terms.map(term => ({ term, depth: 0 }))
+  }
+
+  const ids = {}
+  const children = {}
+
+  terms.map(term => ids[term.id] = true)
+
+  terms.map(term => {
+    const parent = term.parent && ids[term.parent] ? term.parent : 0
+    children[parent] = (children[parent] || []).concat([ term ])
+  })
+
+  const walk = (parent, depth) => (children[parent] || [])
+    .reduce((list, term) => list.concat([ { term, depth } ], walk(term.id, depth + 1)), [])
+
+  return walk(0, 0)
+}
+
+/**
+ *
+ * Creates a facet instance
+ *
+ * @param  {Object} options Facet options, see `defaults`
+ * @return {Object} Facet instance
+ *
+ */
+export default function facetFactory(options = {}) {
+
+  const settings = Object.assign({}, defaults, options, {
+    query: Object.assign({}, defaults.query, options.query)
+  })
+
+  const { route, taxonomy, listing, rootEl, type, value, hierarchical, query, allLabel, template, client } = settings
+
+  const name = `${ listing }-${ taxonomy }`
+
+  return Object.assign(templateMixin(), {
+
+    /**
+     * Facet options
+     * @type {Object}
+     */
+    options: settings,
+
+    /**
+     * Loaded terms & their depth, in display order
+     * @type {Array}
+     */
+    terms: [],
+
+    /**
+     * Rendered controls (inputs or select)
+     * @type {Array}
+     */
+    controls: [],
+
+    /**
+     * Fetch the terms & render the controls
+     * @return {Promise} Resolves with the rendered controls
+     */
+    load() {
+
+      return fetchTerms(client || defaultClient(), route, query)
+        .then(terms => {
+          this.terms = sortTerms(terms, hierarchical)
+          this.render()
+
+          return this.controls
+        })
+    },
+
+    /**
+     * Render the controls of the loaded terms into the `rootEl`
+     * @return {null}
+     */
+    render() {
+
+      const itemTemplate = template || (type == 'select' ? optionTemplate : inputTemplate)
+
+      // Radios & selects get an option clearing the facet
+      const allTerm = { id: '', slug: '', name: allLabel }
+      const items = (type == 'checkbox' ? [] : [ { term: allTerm, depth: 0 } ]).concat(this.terms)
+
+      const context = (term, depth) => ({
+        value: term === allTerm ? '' : term[value],
+        depth, type, name, taxonomy, listing
+      })
+
+      const elements = items.map(({ term, depth }) => this.compile(term, itemTemplate, context(term, depth)))
+
+      rootEl.innerHTML = ''
+
+      if(type == 'select') {
+
+        const select = createElement('select', { name, 'data-taxonomy': taxonomy, 'data-listing': listing })
+
+        elements.map(el => select.appendChild(el))
+        rootEl.appendChild(select)
+
+        this.controls = [ select ]
+
+      } else {
+
+        elements.map(el => rootEl.appendChild(el))
+
+        this.controls = elements.reduce((controls, el) => controls.concat(
+          el.hasAttribute('data-taxonomy') ? [ el ] : collection(el.querySelectorAll('[data-taxonomy]'))
+        ), [])
+      }
+    }
+  })
+}
+
+/**
+ * Fetch all the pages of a terms route
+ *
+ * @param  {Object} client API client
+ * @param  {String} route  Terms route
+ * @param  {Object} query  Query parameters
+ * @param  {Number} page   Page to fetch
+ * @return {Promise} Resolves with the terms
+ */
+function fetchTerms(client, route, query, page = 1) {
+
+  return client.fetch(route + '?' + serializeObject(Object.assign({}, query, { page })))
+    .then(res => res.json()
+      .then(terms => {
+
+        const totalPages = parseInt(res.headers.get('X-WP-TotalPages')) || 1
+
+        return page < totalPages ?
+          fetchTerms(client, route, query, page + 1).then(more => terms.concat(more)) :
+          terms
+      }))
+}
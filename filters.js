@@ -0,0 +1,311 @@
+/**
+ *
+ * Filters
+ *
+ * Maps form controls to endpoint query parameters, for filters other than
+ * the taxonomy toggles. Each control declares its type in a `[data-filter]`
+ * attribute & the listing it filters in a `[data-listing]` attribute:
+ *
+ * ```
+ * <select data-filter data-param="status" data-listing="partners">...</select>
+ * <input type="range" data-filter="range" data-meta="employees" data-bound="min" data-listing="partners">
+ * <input type="date" data-filter="date" data-bound="after" data-listing="partners">
+ * <select data-filter="author" data-listing="partners">...</select>
+ * <select data-filter="order" data-listing="partners">
+ *   <option value="date:desc">Newest</option>
+ *   <option value="title:asc">A-Z</option>
+ * </select>
+ * <input type="checkbox" data-filter="meta" data-meta="featured" value="1" data-listing="partners">
+ * ```
+ *
+ * Types:
+ *
+ * - 'value' (default): the control's value as the `data-param` parameter
+ * - 'range': a numeric bound (`data-bound` 'min' or 'max'), either as the
+ *   `data-param` parameter or as a NUMERIC meta query on the `data-meta` key.
+ *   A range input at its own bound doesn't filter
+ * - 'date': `after` or `before` (`data-bound`) parameters, from a date input
+ * - 'author': the `author` parameter (or `data-param`)
+ * - 'order': `orderby` & `order` parameters, from sort values (see `parseSort`)
+ * - 'meta': a meta query on the `data-meta` key (`data-compare` optional)
+ *
+ * Empty values remove the parameters from the query.
+ *
+ */
+
+import { collection, getMetaQuery, inArray } from './utils'
+
+/**
+ *
+ * Get the value of a form control. Multiple selects join their values with commas,
+ * unchecked checkboxes & radios have no value
+ *
+ * @param  {HTMLElement} el Form control
+ * @return {String} Value
+ *
+ */
+export function getControlValue(el) {
+
+  if(el.tagName == 'SELECT' && el.multiple) {
+    return collection(el.options)
+      .filter(option => option.selected)
+      .map(option => option.value)
+      .join(',')
+  }
+
+  if(el.type == 'checkbox' || el.type == 'radio') {
+    return el.checked ? el.value : ''
+  }
+
+  return el.value
+}
+
+/**
+ *
+ * Set the value of a form control, see `getControlValue`
+ *
+ * @param  {HTMLElement} el    Form control
+ * @param  {String}      value Value
+ * @return {null}
+ *
+ */
+export function setControlValue(el, value = '') {
+
+  if(el.tagName == 'SELECT' && el.multiple) {
+    const values = String(value).split(',')
+    collection(el.options).map(option => option.selected = inArray(option.value, values))
+  } else if(el.type == 'checkbox' || el.type == 'radio') {
+    el.checked = value !== '' && el.value == value
+  } else if(el.type == 'range' && value === '') {
+    el.value = el.dataset.bound == 'max' ? el.max : el.min
+  } else {
+    el.value = value
+  }
+}
+
+/**
+ *
+ * Parse a sort value into `orderby`, `order` & `meta_key` parameters. Sort values
+ * are 'orderby:order' (ie: 'date:desc', 'title:asc', 'relevance'), meta fields use
+ * 'meta:key:order' or, to compare them as numbers, 'meta_num:key:order'
+ *
+ * @param  {String} value Sort value
+ * @return {Object} Query parameters, empty strings remove them from the query
+ *
+ */
+export function parseSort(value = '') {
+
+  const parts = String(value).split(':')
+  const metaOrderby = { meta: 'meta_value', meta_num: 'meta_value_num' }[parts[0]]
+
+  if(metaOrderby) {
+    return { orderby: metaOrderby, meta_key: parts[1] || '', order: parts[2] || '' }
+  }
+
+  return { orderby: parts[0], meta_key: '', order: parts[1] || '' }
+}
+
+/**
+ *
+ * Get the sort value of a query, see `parseSort`
+ *
+ * @param  {Object} query Query parameters
+ * @return {String} Sort value, empty if the query has no `orderby`
+ *
+ */
+export function formatSort({ orderby, order, meta_key } = {}) {
+
+  if(!orderby) {
+    return ''
+  }
+
+  const metaPrefix = { meta_value: 'meta', meta_value_num: 'meta_num' }[orderby]
+
+  return [ metaPrefix ? `${ metaPrefix }:${ meta_key || '' }` : orderby ]
+    .concat(order ? [ order ] : [])
+    .join(':')
+}
+
+/**
+ *
+ * Whether a sort value matches the order of a query. Values without an order
+ * match any order, an empty value matches queries without `orderby`
+ *
+ * @param  {String} value Sort value
+ * @param  {Object} query Query parameters
+ * @return {Boolean}
+ *
+ */
+export function sortMatches(value = '', query = {}) {
+
+  const { orderby, order, meta_key } = parseSort(value)
+
+  return orderby == (query.orderby || '') &&
+    meta_key == (query.meta_key && orderby.indexOf('meta_') === 0 ? query.meta_key : '') &&
+    (!order || order == query.order)
+}
+
+/**
+ * Meta query parameters of a control, with empty values for all of the clause's
+ * keys when the control has no value, so that they get removed from the query
+ *
+ * @param  {HTMLElement} el      Form control
+ * @param  {String}      value   Control value
+ * @param  {Number}      index   Index of the clause within the meta_query
+ * @param  {Object}      options Clause `compare` & `type`
+ * @return {Object} Query parameters
+ */
+function metaParams(el, value, index, options = {}) {
+
+  const params = getMetaQuery(el.dataset.meta, value, index, options)
+
+  if(value === '') {
+    Object.keys(getMetaQuery('', '', index, { compare: true, type: true }))
+      .map(key => params[key] = '')
+  }
+
+  return params
+}
+
+/**
+ * Single parameter object
+ * @param  {String} key
+ * @param  {String} value
+ * @return {Object}
+ */
+function param(key, value) {
+  const params = {}
+  params[key] = value
+  return params
+}
+
+/**
+ *
+ * Serializers by filter type. Each one maps a control to query parameters
+ * (`params(el, index)`) & reads the control's value back from the query
+ * (`value(el, query, index)`). The index is the control's meta_query clause.
+ *
+ * @type {Object}
+ *
+ */
+export const serializers = {
+
+  value: {
+    params: el => param(el.dataset.param, getControlValue(el)),
+    value: (el, query) => query[el.dataset.param]
+  },
+
+  range: {
+    params(el, index) {
+
+      const { bound, meta } = el.dataset
+      const atBound = el.type == 'range' && el.value == (bound == 'max' ? el.max : el.min)
+      const value = atBound ? '' : getControlValue(el)
+
+      return meta ?
+        metaParams(el, value, index, { compare: bound == 'max' ? '<=' : '>=', type: 'NUMERIC' }) :
+        param(el.dataset.param, value)
+    },
+
+    value: (el, query, index) => el.dataset.meta ?
+      query[`meta_query[${ index }][value]`] :
+      query[el.dataset.param]
+  },
+
+  date: {
+    params(el) {
+
+      const bound = el.dataset.bound == 'before' ? 'before' : 'after'
+      const value = getControlValue(el)
+
+      // WP Rest expects ISO 8601 dates, including the time
+      return param(el.dataset.param || bound, value ? `${ value }T${ bound == 'before' ? '23:59:59' : '00:00:00' }` : '')
+    },
+
+    value(el, query) {
+      const value = query[el.dataset.param || (el.dataset.bound == 'before' ? 'before' : 'after')]
+      return value ? String(value).slice(0, 10) : ''
+    }
+  },
+
+  author: {
+    params: el => param(el.dataset.param || 'author', getControlValue(el)),
+    value: (el, query) => query[el.dataset.param || 'author']
+  },
+
+  order: {
+    params: el => parseSort(getControlValue(el)),
+    value: (el, query) => formatSort(query)
+  },
+
+  meta: {
+    params: (el, index) => metaParams(el, getControlValue(el), index, { compare: el.dataset.compare }),
+    value: (el, query, index) => query[`meta_query[${ index }][value]`]
+  }
+}
+
+/**
+ *
+ * Creates a filter for a `[data-filter]` control
+ *
+ * @param  {HTMLElement} el    Form control
+ * @param  {Number}      index Index of the control's meta_query clause, for meta based filters
+ * @return {Object} Filter instance
+ *
+ */
+export default function filterFactory(el, index = 0) {
+
+  const type = el.dataset.filter || 'value'
+  const serializer = serializers[type]
+
+  if(!serializer) {
+    console.warn(`Unknown filter type '${ type }', use one of [${ Object.keys(serializers) }]. Falling back to 'value'.`)
+  }
+
+  const { params, value } = serializer || serializers.value
+
+  return {
+
+    /**
+     * The filter's control
+     * @type {HTMLElement}
+     */
+    el,
+
+    /**
+     * Filter type
+     * @type {String}
+     */
+    type,
+
+    /**
+     * Name of the listing the filter applies to
+     * @type {String}
+     */
+    listing: el.dataset.listing,
+
+    /**
+     * Whether the filter uses a meta_query clause
+     * @type {Boolean}
+     */
+    usesMeta: type == 'meta' || (type == 'range' && !!el.dataset.meta),
+
+    /**
+     * Get the query parameters of the control's current value
+     * @return {Object} Query parameters
+     */
+    getParams() {
+      return params(el, index)
+    },
+
+    /**
+     * Set the control's value from a query
+     * @param  {Object} query Query parameters (ie: the endpoint's `getParams()`)
+     * @return {null}
+     */
+    sync(query = {}) {
+      const current = value(el, query, index)
+      setControlValue(el, current === undefined || current === null ? '' : String(current))
+    }
+  }
+}
@@ -0,0 +1,310 @@
+/**
+ *
+ * Highlight
+ *
+ * Wraps the terms of a search query found in HTML markup (ie: a WP
+ * `title.rendered`) with `<mark>` elements.
+ *
+ * - Multi-word: each word of the query is highlighted on its own
+ * - Case & diacritic insensitive: 'eco' highlights 'Éco'
+ * - Markup safe: only text is highlighted, never tags or attributes, and
+ *   HTML entities (`&amp;`, `&#8217;`...) are matched as the character they
+ *   encode without being split.
+ * - Sanitized: the markup is reduced to inline formatting tags without
+ *   attributes (see the `tags` option), other tags are removed & the text is
+ *   escaped, so the result can be rendered as markup (ie: with `raw()`).
+ *
+ * Usage:
+ *
+ * ```
+ * highlightTerms('Climate &amp; Écologie', 'ecologie') // 'Climate &amp; <mark>Écologie</mark>'
+ * ```
+ *
+ */
+
+import { escapeHTML, foldText } from './utils'
+import { escape } from './html'
+
+/**
+ * Named entities decoded for matching, others are matched literally
+ * @type {Object}
+ */
+const namedEntities = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+}
+
+/**
+ * Highlighting defaults
+ * @type {Object}
+ */
+const defaults = {
+
+  /**
+   * Element wrapping the matched terms
+   * @type {String}
+   */
+  tag: 'mark',
+
+  /**
+   * Class name of the wrapping element
+   * @type {String}
+   */
+  className: '',
+
+  /**
+   * Minimum length of a query word for it to be highlighted
+   * @type {Number}
+   */
+  minLength: 1,
+
+  /**
+   * Tags kept in the highlighted markup (without their attributes), others are removed
+   * @type {Array}
+   */
+  tags: [ 'p', 'br', 'b', 'strong', 'i', 'em', 'u', 's', 'mark', 'small', 'sub', 'sup', 'code', 'abbr', 'span' ]
+}
+
+/**
+ * Decode a single HTML entity
+ *
+ * @param  {String} entity Entity, including the `&` & `;`
+ * @return {String|null} Decoded character or null if unknown
+ */
+function decodeEntity(entity) {
+
+  const name = entity.slice(1, -1)
+
+  if(name[0] == '#') {
+    const code = name[1] == 'x' || name[1] == 'X' ?
+      parseInt(name.slice(2), 16) :
+      parseInt(name.slice(1), 10)
+
+    return isNaN(code) ? null : String.fromCodePoint(code)
+  }
+
+  return namedEntities.hasOwnProperty(name) ? namedEntities[name] : null
+}
+
+/**
+ * Escape a string to be used within a RegExp
+ * @param  {String} str
+ * @return {String}
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ *
+ * Get the folded, unique words of a query, longest first
+ *
+ * @param  {String} query  Search query
+ * @param  {Number} minLength Minimum length of a word
+ * @return {Array} Query words
+ *
+ */
+export function getQueryTerms(query = '', minLength = 1) {
+
+  const terms = {}
+
+  foldText(query)
+    .split(/\s+/)
+    .filter(term => term.length >= minLength)
+    .map(term => terms[term] = true)
+
+  return Object.keys(terms).sort((a, b) => b.length - a.length)
+}
+
+/**
+ *
+ * Sanitize markup, keeping only the allowed tags without their attributes. Other
+ * tags are removed & the text is escaped (existing entities are kept).
+ *
+ * @param  {String} html Markup to sanitize
+ * @param  {Array}  tags Allowed tag names
+ * @return {String} Sanitized markup
+ *
+ */
+export function sanitizeMarkup(html = '', tags = defaults.tags) {
+
+  return String(html)
+    .split(/(<[^>]*>)/)
+    .map((part, i) => {
+
+      if(i % 2 == 0) {
+        return escape(part)
+      }
+
+      const tag = part.match(/^<(\/?)([a-z][a-z0-9]*)[\s\/>]/i)
+      const name = tag ? tag[2].toLowerCase() : null
+
+      return name && tags.indexOf(name) > -1 ? `<${ tag[1] }${ name }>` : ''
+    })
+    .join('')
+}
+
+/**
+ * Highlight the terms within a text segment (markup without tags)
+ *
+ * @param  {String} text    Text segment, possibly containing entities
+ * @param  {RegExp} pattern Global pattern matching the folded terms
+ * @param  {String} open    Opening tag
+ * @param  {String} close   Closing tag
+ * @return {String} Highlighted segment
+ */
+function highlightText(text, pattern, open, close) {
+
+  // Split the text into units (single characters or whole entities), each one
+  // with its folded version, to map matches back to the original text
+  const units = []
+  const unitOfChar = []
+  let folded = ''
+
+  for(let i = 0; i < text.length;) {
+
+    const entity = text[i] == '&' ? text.slice(i).match(/^&(#\d+|#x[0-9a-f]+|\w+);/i) : null
+    const decoded = entity ? decodeEntity(entity[0]) : null
+    const length = entity && decoded !== null ? entity[0].length : 1
+
+    const unitText = foldText(decoded !== null && entity ? decoded : text[i])
+
+    for(let k = 0; k < unitText.length; k++) {
+      unitOfChar.push(units.length)
+    }
+
+    folded += unitText
+    units.push({ start: i, end: i + length })
+
+    i += length
+  }
+
+  let result = ''
+  let last = 0
+  let match
+
+  pattern.lastIndex = 0
+
+  while((match = pattern.exec(folded))) {
+
+    if(!match[0].length) {
+      pattern.lastIndex++
+      continue
+    }
+
+    const start = units[unitOfChar[match.index]].start
+    const end = units[unitOfChar[match.index + match[0].length - 1]].end
+
+    if(start < last) {
+      continue
+    }
+
+    // Merge with the previous match if they're contiguous
+    if(start == last && last > 0 && result.slice(-close.length) == close) {
+      result = result.slice(0, -close.length) + text.slice(start, end) + close
+    } else {
+      result += text.slice(last, start) + open + text.slice(start, end) + close
+    }
+
+    last = end
+  }
+
+  return result + text.slice(last)
+}
+
+/**
+ *
+ * Highlight the words of a query within HTML markup
+ *
+ * @param  {String} html    Markup to highlight
+ * @param  {String} query   Search query
+ * @param  {Object} options Highlighting options, see `defaults`
+ * @return {String} Highlighted, sanitized markup
+ *
+ */
+export function highlightTerms(html = '', query = '', options = {}) {
+
+  const { tag, className, minLength, tags } = Object.assign({}, defaults, options)
+  const terms = getQueryTerms(query, minLength)
+  const markup = sanitizeMarkup(html || '', tags)
+
+  if(!terms.length) {
+    return markup
+  }
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'g')
+  const open = `<${ tag }${ className ? ` class="${ escapeHTML(className) }"` : '' }>`
+  const close = `</${ tag }>`
+
+  // Highlight the text between tags only
+  return markup
+    .split(/(<[^>]*>)/)
+    .map((part, i) => i % 2 ? part : highlightText(part, pattern, open, close))
+    .join('')
+}
+
+/**
+ *
+ * Creates a highlighter for a given query, used to provide templates with
+ * highlighted versions of their item's fields.
+ *
+ * @param  {String} query   Search query
+ * @param  {Object} options Highlighting options, see `defaults`
+ * @param  {Array}  options.fields Item fields to highlight (default: `['title', 'excerpt']`)
+ * @return {Object} Highlighter instance
+ *
+ */
+export default function highlighterFactory(query = '', options = {}) {
+
+  const { fields = [ 'title', 'excerpt' ] } = options
+
+  return {
+
+    /**
+     * Highlight HTML markup
+     * @param  {String} html Markup to highlight
+     * @return {String} Highlighted markup
+     */
+    highlight(html) {
+      return highlightTerms(html, query, options)
+    },
+
+    /**
+     * Get the highlighted fields of an item. WP rendered fields (`{ rendered }`)
+     * are treated as markup, plain strings as text & get escaped.
+     *
+     * @param  {Object} item Item (ie: WP post object)
+     * @return {Object} Highlighted markup by field name
+     */
+    fields(item = {}) {
+
+      const highlighted = {}
+
+      fields.map(field => {
+
+        const value = item[field]
+
+        if(value && typeof value == 'object' && typeof value.rendered == 'string') {
+          highlighted[field] = highlightTerms(value.rendered, query, options)
+        } else if(typeof value == 'string' || typeof value == 'number') {
+          highlighted[field] = highlightTerms(escapeHTML(value), query, options)
+        } else {
+          highlighted[field] = ''
+        }
+      })
+
+      return highlighted
+    }
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ *
+ * HTML
+ *
+ * Tagged template helper for writing templates that escape their
+ * interpolated values by default.
+ *
+ * - Values are HTML escaped. Existing entity references are kept as they are,
+ *   so entity-encoded WP fields (ie: `title.rendered`) display correctly
+ * - Values interpolated in URL attributes (`href`, `src`...) are sanitized,
+ *   `javascript:` & other unsafe schemes are replaced by `#`, & fully escaped
+ *   (entity references included, so they can't encode an unsafe scheme)
+ * - Nested `html` templates & `raw()` values are not escaped
+ * - Arrays are joined, `null`, `undefined` & booleans render nothing
+ *
+ * Usage:
+ *
+ * ```
+ * function template(post) {
+ *   return html`
+ *     <a href="${ post.link }">
+ *       ${ post.title.rendered }
+ *       ${ post.tags.length && html`<ul>${ post.tags.map(tag => html`<li>${ tag.name }</li>`) }</ul>` }
+ *       ${ raw(trustedMarkup) }
+ *     </a>
+ *   `
+ * }
+ * ```
+ *
+ * Templates returning `html` values can be passed to `templateMixin().compile`
+ * like templates returning strings.
+ *
+ */
+
+import { escapeHTML } from './utils'
+
+/**
+ * Attributes that contain URLs
+ * @type {RegExp}
+ */
+const urlAttribute = /\s(href|src|action|formaction|xlink:href|poster|cite|background)\s*=\s*["']?$/i
+
+/**
+ * Schemes allowed in URL attributes, relative URLs are always allowed
+ * @type {RegExp}
+ */
+const safeScheme = /^(https?|mailto|tel):/i
+
+/**
+ *
+ * Markup that doesn't need escaping, returned by `html` & `raw`
+ *
+ */
+class SafeHTML {
+
+  /**
+   * @param  {String} value Markup
+   */
+  constructor(value = '') {
+    this.value = value
+  }
+
+  toString() {
+    return this.value
+  }
+}
+
+/**
+ *
+ * Escape a value for HTML, keeping existing entity references
+ *
+ * @param  {Any} value Value to escape
+ * @return {String} Escaped string
+ *
+ */
+export function escape(value) {
+  return String(value)
+    .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ *
+ * Sanitize a URL, replacing URLs with unsafe schemes (`javascript:`, `data:`...) by `#`
+ *
+ * @param  {String} url URL to sanitize
+ * @return {String} Safe URL
+ *
+ */
+export function sanitizeURL(url = '') {
+
+  // Browsers ignore control characters & whitespace when parsing the scheme
+  const normalized = String(url).replace(/[\u0000-\u0020\u007f]/g, '')
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i)
+
+  return !scheme || safeScheme.test(normalized) ? String(url) : '#'
+}
+
+/**
+ *
+ * Mark a string as safe markup, so that `html` doesn't escape it. Only use it for
+ * trusted markup.
+ *
+ * @param  {String} value Markup
+ * @return {SafeHTML} Safe markup
+ *
+ */
+export function raw(value = '') {
+  return value instanceof SafeHTML ? value : new SafeHTML(String(value))
+}
+
+/**
+ *
+ * Check if a value is safe markup returned by `html` or `raw`
+ *
+ * @param  {Any} value
+ * @return {Boolean}
+ *
+ */
+export function isSafeHTML(value) {
+  return value instanceof SafeHTML
+}
+
+/**
+ * Render an interpolated value
+ *
+ * @param  {Any}     value Interpolated value
+ * @param  {Boolean} isURL Whether the value is in a URL attribute
+ * @return {String} Markup
+ */
+function render(value, isURL) {
+
+  if(value === null || value === undefined || typeof value == 'boolean') {
+    return ''
+  }
+
+  if(value instanceof SafeHTML) {
+    return value.value
+  }
+
+  if(Array.isArray(value)) {
+    return value.map(item => render(item, isURL)).join('')
+  }
+
+  return isURL ? escapeHTML(sanitizeURL(value)) : escape(value)
+}
+
+/**
+ *
+ * Tagged template escaping its interpolated values
+ *
+ * @param  {Array} strings Template strings
+ * @param  {...Any} values Interpolated values
+ * @return {SafeHTML} Safe markup
+ *
+ */
+export default function html(strings, ...values) {
+
+  return new SafeHTML(strings.reduce((markup, string, i) => {
+
+    const output = markup + string
+
+    return i < values.length ?
+      output + render(values[i], urlAttribute.test(output)) :
+      output
+
+  }, ''))
+}
@@ -0,0 +1,123 @@
+/**
+ *
+ * I18n
+ *
+ * Message catalogue & locale aware formatting for the user facing strings of
+ * the search view.
+ *
+ * Messages are either strings with `{placeholder}` values, functions
+ * receiving the values & returning a string, or plural objects keyed by
+ * `Intl.PluralRules` categories ('zero', 'one', 'two', 'few', 'many', 'other'),
+ * selected with the `count` value.
+ *
+ * Usage:
+ *
+ * ```
+ * const i18n = i18nFactory({
+ *   locale: 'fr',
+ *   messages: {
+ *     results: { one: '{count} résultat', other: '{count} résultats' }
+ *   }
+ * })
+ *
+ * i18n.t('results', { count: 1200 }) // '1 200 résultats'
+ * ```
+ *
+ */
+
+import { formatMessage } from './utils'
+
+/**
+ * Default (english) message catalogue
+ * @type {Object}
+ */
+export const defaultMessages = {
+  loading: 'Loading…',
+  results: { one: '{count} result', other: '{count} results' },
+  resultsForQuery: { one: '{count} result for “{query}”', other: '{count} results for “{query}”' },
+  listingResults: { one: '{label}: {count} result', other: '{label}: {count} results' },
+  noResults: 'No results',
+  noResultsForQuery: 'No results for “{query}”',
+  error: 'There was an error loading the results',
+  retry: 'Try again',
+  allTerms: 'All',
+  facetCount: '({count})',
+  searchFilter: '“{query}”',
+  removeFilter: 'Remove filter: {label}',
+  clearFilters: 'Clear all filters'
+}
+
+/**
+ *
+ * Creates an i18n instance
+ *
+ * @param  {Object} options
+ * @param  {String} options.locale   BCP 47 locale, defaults to the document language
+ * @param  {Object} options.messages Messages overriding the default catalogue
+ * @return {Object} i18n instance
+ *
+ */
+export default function i18nFactory({ locale, messages = {} } = {}) {
+
+  locale = locale || document.documentElement.lang || 'en'
+
+  const catalogue = Object.assign({}, defaultMessages, messages)
+
+  const hasIntl = typeof Intl !== 'undefined'
+
+  const pluralRules = hasIntl && Intl.PluralRules ? new Intl.PluralRules(locale) : null
+  const numberFormat = hasIntl && Intl.NumberFormat ? new Intl.NumberFormat(locale) : null
+
+  return {
+
+    /**
+     * Locale of the instance
+     * @type {String}
+     */
+    locale,
+
+    /**
+     * Format a number for the locale
+     * @param  {Number} number Number to format
+     * @return {String} Formatted number
+     */
+    formatNumber(number) {
+      return numberFormat && typeof number == 'number' ? numberFormat.format(number) : String(number)
+    },
+
+    /**
+     * Get the plural category of a number for the locale
+     * @param  {Number} count
+     * @return {String} Plural category ('one', 'other'...)
+     */
+    plural(count) {
+      return pluralRules ? pluralRules.select(count) : count == 1 ? 'one' : 'other'
+    },
+
+    /**
+     * Translate a message of the catalogue. The `count` value selects the plural
+     * form & gets formatted for the locale.
+     *
+     * @param  {String} key    Message key
+     * @param  {Object} values Placeholder values
+     * @return {String} Translated message, or the key if the message is missing
+     */
+    t(key, values = {}) {
+
+      let message = catalogue[key]
+
+      if(message === undefined) {
+        return key
+      }
+
+      if(message && typeof message == 'object') {
+        const count = typeof values.count == 'number' ? values.count : 0
+        message = message[this.plural(count)] || message.other
+      }
+
+      return formatMessage(message, typeof values.count == 'number' ?
+        Object.assign({}, values, { count: this.formatNumber(values.count) }) :
+        values)
+    }
+  }
+}
@@ -3,7 +3,7 @@
  */
 
 import searchViewFactory from './search'
-import { truncateWords } from './utils'
+import html from './html'
 
 const searchViewEl = document.querySelector('#search-view')
 
@@ -11,29 +11,50 @@ const searchViewEl = document.querySelector('#search-view')
  *
  * Post item template
  * @param  {Object} post WP Rest post response object
+ * @param  {Object} context Template context, `highlighted` holds the item's fields with the search
+ * terms wrapped in `<mark>`, `highlight` does the same for other markup & `snippet` extracts the
+ * passage of the excerpt matching the search
  * @return {String} Element markup
  *
  */
-function postSearchTemplate(post) {
+function postSearchTemplate(post, { highlighted, highlight, snippet }) {
 
   let link = post.link
   let target = '_self'
 
   const hasExcerpt = post.excerpt && post.excerpt.rendered
 
-  return `
+  // Interpolated values are escaped, highlighted markup is sanitized by the highlighter
+  return html`
     <li class="listing-item">
       <a class="search-post" href="${ post.link }" target="_self">
         <span class="search-post__label">${ post.type }</span>
         <span class="search-post__content">
-          <h4 class="search-post__title">${ post.title.rendered }</h4>
-          ${ hasExcerpt && `<p>${ truncateWords(post.excerpt.rendered, 210) }</p>` }
+          <h4 class="search-post__title">${ highlighted.title }</h4>
+          ${ hasExcerpt && html`<p>${ highlight(snippet(post.excerpt.rendered, { length: 210 })) }</p>` }
         </span>
       </a>
     </li>
   `
 }
 
+/**
+ *
+ * Error template, shown in the listing when a request fails
+ * @param  {Error} error ApiError/NetworkError instance
+ * @param  {Object} context Template context, `t` translates messages of the catalogue
+ * @return {String} Element markup
+ *
+ */
+function errorTemplate(error, { t }) {
+  return html`
+    <li class="listing-error">
+      <p>${ t('error') }</p>
+      <button class="listing-error__retry" type="button" data-retry>${ t('retry') }</button>
+    </li>
+  `
+}
+
 /**
  * WP REST endpoint we want to query (Can use built in endpoints as well)
  * @type {String}
@@ -44,6 +65,9 @@ const SEARCH_PATHNAME = window.Global.api_namespace + '/search'
 const listings = {
   posts: {
     template: postSearchTemplate,
+    errorTemplate: errorTemplate,
+    highlight: true,
+    keyed: true,
     rootEl: searchViewEl.querySelector('[data-posts]'),
     pathname: SEARCH_PATHNAME,
     searchParam: 's',
@@ -0,0 +1,158 @@
+/**
+ *
+ * Keyed
+ *
+ * DOM reconciliation helpers used by the keyed listings (`keyed` listing
+ * option). Instead of clearing a container & appending freshly compiled
+ * elements, the existing elements are patched in place & only moved when
+ * their position changes, so they keep their focus, scroll & transition state.
+ *
+ * Usage:
+ *
+ * ```
+ * // Update an existing element from a freshly compiled one
+ * const el = patchElement(existingEl, compiledEl)
+ *
+ * // Make `elements` the only children of the container, in that order
+ * reconcileChildren(containerEl, [ el, otherEl ])
+ * ```
+ *
+ */
+
+import { collection } from './utils'
+
+/**
+ *
+ * Patch an element (or text node) to match another one, reusing the existing
+ * nodes where their type allows it. Attributes get updated, and children are
+ * patched by position.
+ *
+ * @param  {Node} from Node currently in the document
+ * @param  {Node} to   Node to match, its children might get moved into `from`
+ * @return {Node} The patched node, or `to` if `from` had to be replaced
+ *
+ */
+export function patchElement(from, to) {
+
+  if(from.isEqualNode(to)) {
+    return from
+  }
+
+  if(from.nodeType != to.nodeType || from.nodeName != to.nodeName) {
+
+    if(from.parentNode) {
+      from.parentNode.replaceChild(to, from)
+    }
+
+    return to
+  }
+
+  if(from.nodeType != 1) {
+
+    if(from.nodeValue !== to.nodeValue) {
+      from.nodeValue = to.nodeValue
+    }
+
+    return from
+  }
+
+  Array.from(from.attributes)
+    .filter(({ name }) => !to.hasAttribute(name))
+    .map(({ name }) => from.removeAttribute(name))
+
+  Array.from(to.attributes)
+    .filter(({ name, value }) => from.getAttribute(name) !== value)
+    .map(({ name, value }) => from.setAttribute(name, value))
+
+  const fromChildren = collection(from.childNodes)
+  const toChildren = collection(to.childNodes)
+
+  toChildren.map((child, i) => fromChildren[i] ?
+    patchElement(fromChildren[i], child) :
+    from.appendChild(child))
+
+  fromChildren
+    .slice(toChildren.length)
+    .map(child => from.removeChild(child))
+
+  return from
+}
+
+/**
+ *
+ * Make a list of elements the only element children of a container, in order.
+ * Elements that aren't in the list get removed, new ones inserted, and the
+ * existing ones are moved as little as possible: the longest run of elements
+ * already in the right order stays in place.
+ *
+ * @param  {HTMLElement} parent   Container element
+ * @param  {Array}       elements Elements the container should contain
+ * @return {null}
+ *
+ */
+export default function reconcileChildren(parent, elements) {
+
+  collection(parent.children)
+    .filter(el => elements.indexOf(el) < 0)
+    .map(el => parent.removeChild(el))
+
+  const current = collection(parent.children)
+  const stable = longestIncreasingSubsequence(elements.map(el => current.indexOf(el)))
+
+  // Walk backwards so each element can be inserted before its (already placed) successor
+  let next = null
+
+  for(let i = elements.length - 1; i >= 0; i--) {
+
+    if(!stable[i]) {
+      parent.insertBefore(elements[i], next)
+    }
+
+    next = elements[i]
+  }
+}
+
+/**
+ * Get the indexes of the longest increasing subsequence of positions,
+ * ignoring the negative ones (elements that aren't in the document yet)
+ *
+ * @param  {Array} positions Current position of each element, -1 if new
+ * @return {Object} Indexes belonging to the subsequence, as keys
+ */
+function longestIncreasingSubsequence(positions) {
+
+  // Index of the smallest tail of each subsequence length, & predecessors
+  const tails = []
+  const previous = []
+
+  positions.map((position, i) => {
+
+    if(position < 0) {
+      return
+    }
+
+    let low = 0
+    let high = tails.length
+
+    while(low < high) {
+      const mid = (low + high) >> 1
+
+      if(positions[tails[mid]] < position) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+
+    previous[i] = low > 0 ? tails[low - 1] : -1
+    tails[low] = i
+  })
+
+  const indexes = {}
+
+  for(let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) {
+    indexes[i] = true
+  }
+
+  return indexes
+}
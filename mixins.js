@@ -30,7 +30,9 @@
 
 import equal from 'deep-equal'
 import { createElement } from './utils'
-import apiFetch from './apiFetch'
+import { defaultClient, isAbortError } from './apiFetch'
+import cacheFactory from './cache'
+import defaultStorage from './storage'
 import { eventBusFactory } from './EventBus'
 
 
@@ -40,40 +42,248 @@ import { eventBusFactory } from './EventBus'
  * each given request string, only 1 network request is performed.
  * Subsequent requests to that endpoint will resolve immediately.
  *
+ * Failed requests (rejected or with a non OK status) are never kept
+ * in the cache.
+ *
+ * GET responses can also be persisted between page loads through a storage
+ * adapter (see `storage.js`). Stored responses are served when the network
+ * fails or takes longer than `staleTimeout`, while the request keeps going
+ * in the background to refresh the stored copy (stale-while-revalidate).
+ *
+ * @param  {Object} options Options object
+ * @param  {Object|false} options.cache Options passed to `cacheFactory` ({ maxEntries, ttl }),
+ * or false to disable caching
+ * @param  {Object|Boolean} options.storage Persistence options: `true` to use the default
+ * storage, a storage adapter, or an object `{ adapter, staleTimeout, maxAge }`
+ * @param  {Object|Null} options.client API client performing the requests (see `apiClientFactory`),
+ * defaults to the `apiFetch` client
  * @return {Object} requestMixin object
  *
  */
-export function requestMixin() {
+export function requestMixin({ cache = {}, storage = false, client = null } = {}) {
 
   /**
    * Requests cache
    * @type {Object}
    */
-  const requests = {}
+  const requests = cacheFactory(Object.assign({ maxEntries: 100 }, cache))
+
+  /**
+   * Persistence options, or false if responses aren't persisted
+   * @type {Object|false}
+   */
+  const persistence = storage ?
+    Object.assign({}, persistenceDefaults, storage === true ? {} : storage.get ? { adapter: storage } : storage) :
+    false
 
   return {
 
     /**
      *
      * Get a fetch promise for a given request. If the request hasnt been fetched,
-     * perform an apiFetch call and cache it.
+     * perform a request with the API client and cache it.
      *
      * @param  {String} request URL string of the request to be performe
+     * @param  {String} method  Request method
+     * @param  {Object} options Additional `apiFetch` options (ie: `signal`)
      * @return {Promise} Cloned fetch promise, to allow to read it's results multiple times
      *
      */
-    fetch(request = '', method) {
+    fetch(request = '', method, options = {}) {
+
+      let promise = cache !== false && requests.get(request)
+
+      if(!promise) {
+
+        const api = client || defaultClient()
+
+        promise = persistence && (method || 'get').toLowerCase() == 'get' ?
+          persistedFetch(api, request, method, options, persistence, res => {
+            // Stale response was served, keep the fresh one for next time
+            if(cache !== false) {
+              requests.set(request, Promise.resolve(res))
+            }
+          }) :
+          api.fetch(request, method, {}, options)
 
-      if(!requests[request]) {
-        requests[request] = apiFetch(request, method)
+        const remove = () => {
+          if(requests.get(request) === promise) {
+            requests.delete(request)
+          }
+        }
+
+        // Failed & aborted requests shouldn't be served from the cache afterwards.
+        // Aborted ones are removed as soon as their signal aborts, so that a request
+        // for the same URL right after doesn't get the aborted promise
+        const { signal } = options
+
+        if(signal) {
+          signal.addEventListener('abort', remove)
+        }
+
+        promise
+          .then(res => !res.ok && remove(), remove)
+          .then(() => signal && signal.removeEventListener('abort', remove))
+
+        if(cache !== false) {
+          requests.set(request, promise)
+        }
       }
 
-      return requests[request].then(res => res.clone())
+      return promise.then(res => res.clone())
+
+    },
 
+    /**
+     * Remove cached requests matching a pattern, so that they get fetched again
+     *
+     * @param  {String|RegExp|Function} pattern See `cacheFactory().invalidate`
+     * @return {null}
+     */
+    invalidate(pattern) {
+      requests.invalidate(pattern)
     }
   }
 }
 
+/**
+ * Default persistence options for `requestMixin`
+ * @type {Object}
+ */
+const persistenceDefaults = {
+
+  /**
+   * Storage adapter, defaults to the shared IndexedDB/localStorage adapter (see `boundedStorage`)
+   * @type {Object|null}
+   */
+  adapter: null,
+
+  /**
+   * Time in milliseconds to wait for the network before serving a stored response
+   * @type {Number}
+   */
+  staleTimeout: 3000,
+
+  /**
+   * Time in milliseconds after which stored responses are ignored & deleted, 0 to keep them forever
+   * @type {Number}
+   */
+  maxAge: 7 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Response headers kept along with the stored response bodies
+ * @type {Array}
+ */
+const persistedHeaders = [
+  'Content-Type',
+  'X-WP-Total',
+  'X-WP-TotalPages',
+  'Link'
+]
+
+/**
+ *
+ * Perform a request backed by a storage adapter. Successful responses
+ * get stored, the stored response is served if the request fails or is slower
+ * than `staleTimeout` (immediately when the browser is offline).
+ *
+ * Responses are stored under their full URL, so that clients pointing
+ * to different sites don't share them.
+ *
+ * @param  {Object}   client      API client performing the request
+ * @param  {String}   request     URL string of the request
+ * @param  {String}   method      Request method
+ * @param  {Object}   options     Additional `apiFetch` options
+ * @param  {Object}   persistence Persistence options
+ * @param  {Function} onRevalidate Called with the network response if it arrives after a stored response was served
+ * @return {Promise}  Resolves with either the network or the stored Response
+ *
+ */
+function persistedFetch(client, request, method, options, { adapter, staleTimeout, maxAge }, onRevalidate) {
+
+  const storage = adapter || defaultStorage()
+  const key = client.baseURL + request
+
+  const stored = storage.get(key)
+    .then(entry => {
+
+      // Expired entries are deleted, they'd never be served again
+      if(entry && maxAge && Date.now() - entry.time > maxAge) {
+        storage.delete(key)
+        return undefined
+      }
+
+      return entry
+    })
+    .catch(() => undefined)
+
+  const network = client.fetch(request, method, {}, options)
+    .then(res => {
+
+      if(res.ok) {
+        res.clone().text()
+          .then(body => {
+
+            const headers = {}
+
+            persistedHeaders.map(key => {
+              if(res.headers.has(key)) {
+                headers[key] = res.headers.get(key)
+              }
+            })
+
+            storage.set(key, { body, headers, status: res.status, time: Date.now() })
+          })
+          .catch(() => {})
+      }
+
+      return res
+    })
+
+  const toResponse = ({ body, headers, status }) => new Response(body, { status, headers })
+
+  return new Promise((resolve, reject) => {
+
+    let settled = false
+
+    const settle = (cb, value) => {
+      if(!settled) {
+        settled = true
+        cb(value)
+      }
+    }
+
+    const serveStored = () => stored.then(entry => entry && settle(resolve, toResponse(entry)))
+
+    const timer = setTimeout(serveStored, navigator.onLine === false ? 0 : staleTimeout)
+
+    network.then(res => {
+
+      clearTimeout(timer)
+
+      if(settled) {
+        onRevalidate(res)
+      }
+
+      settle(resolve, res)
+
+    }, error => {
+
+      clearTimeout(timer)
+
+      if(isAbortError(error)) {
+        return settle(reject, error)
+      }
+
+      stored.then(entry => entry ?
+        settle(resolve, toResponse(entry)) :
+        settle(reject, error))
+    })
+
+  })
+}
+
 /**
  *
  * Provides an object with the ability to keep track of it's own internal
@@ -147,12 +357,14 @@ export function templateMixin() {
      * Compile an object and a template into an HTML Element
      *
      * @param  {Object} data Data to compile with the template
-     * @param  {Function} template Template function, should return HTML markup with a single root element
+     * @param  {Function} template Template function, should return HTML markup with a single root element,
+     * either as a string or an `html` tagged template (see `html.js`)
+     * @param  {Object} context Optional context, passed as the second argument to the template
      *
      * @return {HTMLElement} Compiled HTML Element
      *
      */
-    compile(data = {}, template = () => `<div></div>`) {
+    compile(data = {}, template = () => `<div></div>`, context = {}) {
 
       /**
       * Buffer element used by the compile function to insert & grab new elements
@@ -160,7 +372,7 @@ export function templateMixin() {
       */
       const buffer = createElement('div')
 
-      const markup = template(data)
+      const markup = String(template(data, context))
       buffer.innerHTML = markup.length ? markup : ''
       return buffer.children[0]
     }
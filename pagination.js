@@ -0,0 +1,288 @@
+/**
+ *
+ * Pagination
+ *
+ * Strategies used by `postEndpoint` to request each page of a query & to
+ * detect when there are no more pages to load.
+ *
+ * Every strategy implements the same interface:
+ *
+ * ```
+ * strategy.params(page, perPage)         // Query parameters requesting the given page
+ * strategy.parse(result, page, perPage)  // Returns { isFinished, foundPosts } from a page result
+ * strategy.reset()                       // Called when the query changes
+ * ```
+ *
+ * The page `result` is the response as normalized by `postEndpoint`:
+ * `{ items, total, totalPages, nextCursor, json, response }`, where `total` &
+ * `totalPages` are null when unknown.
+ *
+ * Available strategies:
+ *
+ * - 'wp': WP Rest headers, `X-WP-TotalPages` or `X-WP-Total` (default)
+ * - 'count': Finished as soon as a page returns fewer than `per_page` items
+ * - 'offset': Requests `offset` instead of `page`
+ * - 'cursor': Requests the cursor returned by the previous page, either in
+ *    a response field or in a `Link: <...>; rel="next"` header
+ *
+ */
+
+import { extractURLParameters } from './utils'
+
+/**
+ *
+ * WP Rest headers strategy. Uses the total pages (`X-WP-TotalPages`) if known,
+ * otherwise the total (`X-WP-Total`) & `per_page`. Falls back to counting the
+ * items if the response contains neither.
+ *
+ * @return {Object} Pagination strategy
+ *
+ */
+export function wpHeadersPagination() {
+
+  let warned = false
+
+  return {
+    params(page) {
+      return { page }
+    },
+
+    parse({ items, total, totalPages }, page, perPage) {
+
+      if(total == null && totalPages == null) {
+
+        if(!warned) {
+          console.warn(`postEndpoint is meant to work with a WP Rest API response, which should contain an 'X-WP-Total' or 'X-WP-TotalPages' header, stating the total number of posts in the query. The endpoint uses this to detect when there are no more posts to load. Falling back to counting the posts of each page, use the 'count' pagination to silence this warning.`)
+          warned = true
+        }
+
+        return {
+          isFinished: items.length < perPage,
+          foundPosts: (page - 1) * perPage + items.length
+        }
+      }
+
+      return {
+        isFinished: totalPages != null ? page >= totalPages : page * perPage >= total,
+        foundPosts: total != null ? total : items.length
+      }
+    },
+
+    reset() {}
+  }
+}
+
+/**
+ *
+ * Item count strategy, the query is finished when a page returns fewer items
+ * than `per_page`. The found posts are the ones loaded so far, unless the
+ * total is known.
+ *
+ * @return {Object} Pagination strategy
+ *
+ */
+export function countPagination() {
+
+  return {
+    params(page) {
+      return { page }
+    },
+
+    parse({ items, total }, page, perPage) {
+      return {
+        isFinished: items.length < perPage,
+        foundPosts: total != null ? total : (page - 1) * perPage + items.length
+      }
+    },
+
+    reset() {}
+  }
+}
+
+/**
+ *
+ * Offset strategy, requests pages through an offset parameter instead of `page`.
+ *
+ * @param  {Object} options
+ * @param  {String} options.param Offset query parameter
+ * @return {Object} Pagination strategy
+ *
+ */
+export function offsetPagination({ param = 'offset' } = {}) {
+
+  const count = countPagination()
+
+  return {
+    params(page, perPage) {
+      const params = {}
+      params[param] = (page - 1) * perPage
+      return params
+    },
+
+    parse(result, page, perPage) {
+
+      const { total } = result
+
+      return total != null ?
+        { isFinished: page * perPage >= total, foundPosts: total } :
+        count.parse(result, page, perPage)
+    },
+
+    reset() {}
+  }
+}
+
+/**
+ *
+ * Cursor strategy. The next page is requested with the cursor returned by
+ * the previous one: the result's `nextCursor` (see `transformResponse`), the
+ * `field` of the JSON response (dot notation, ie: 'meta.next_cursor') or, if
+ * missing, the `Link` header's `rel="next"` URL. The query is finished when
+ * there is no next cursor.
+ *
+ * @param  {Object} options
+ * @param  {String} options.param Cursor query parameter
+ * @param  {String} options.field Response field containing the next cursor
+ * @return {Object} Pagination strategy
+ *
+ */
+export function cursorPagination({ param = 'cursor', field = 'next_cursor' } = {}) {
+
+  /**
+   * Query parameters to request each page with, by page number
+   * @type {Object}
+   */
+  let pages = {}
+
+  let found = 0
+
+  /**
+   * Set the cursor of the next page from a parsed response
+   *
+   * @param {Number} page   Page the result belongs to
+   * @param {Object} result Page result
+   * @return {Boolean} Whether there is a next page
+   */
+  const setNext = (page, { nextCursor, json, response }) => {
+
+    const cursor = nextCursor != null ?
+      nextCursor :
+      field.split('.')
+        .reduce((value, key) => value && typeof value == 'object' ? value[key] : undefined, json)
+
+    if(cursor !== undefined && cursor !== null && cursor !== '') {
+      pages[page + 1] = {}
+      pages[page + 1][param] = cursor
+      return true
+    }
+
+    const next = nextLink(response)
+
+    if(next) {
+      pages[page + 1] = linkParameters(next)
+      return true
+    }
+
+    delete pages[page + 1]
+    return false
+  }
+
+  return {
+    params(page) {
+      return page > 1 ? Object.assign({}, pages[page]) : {}
+    },
+
+    parse(result, page) {
+
+      const { items, total } = result
+
+      found = (page == 1 ? 0 : found) + items.length
+
+      return {
+        isFinished: !setNext(page, result),
+        foundPosts: total != null ? total : found
+      }
+    },
+
+    reset() {
+      pages = {}
+      found = 0
+    }
+  }
+}
+
+/**
+ * Get the URL of the `rel="next"` link in a `Link` header
+ *
+ * @param  {Response} res Fetch response
+ * @return {String|null} Next URL
+ */
+function nextLink(res) {
+
+  const pattern = /<([^>]+)>([^<]*)/g
+  const header = res.headers.get('Link') || ''
+
+  let match
+
+  while((match = pattern.exec(header))) {
+    if(/rel="?([^"]*\s)?next[\s";,]/.test(match[2] + ';')) {
+      return match[1]
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the query parameters of a `Link` header URL. WP encodes them with `urlencode`,
+ * which encodes spaces as `+`
+ *
+ * @param  {String} url Link URL
+ * @return {Object} Parameters object
+ */
+function linkParameters(url) {
+
+  const query = url.indexOf('?') > -1 ? url.slice(url.indexOf('?')).replace(/\+/g, '%20') : ''
+
+  return extractURLParameters(query)
+}
+
+/**
+ * Strategy factories by name
+ * @type {Object}
+ */
+const strategies = {
+  wp: wpHeadersPagination,
+  count: countPagination,
+  offset: offsetPagination,
+  cursor: cursorPagination
+}
+
+/**
+ *
+ * Get a pagination strategy instance
+ *
+ * @param  {String|Object} option Either a strategy name, an object with a `type`
+ * (strategy name) & the strategy options, or a custom strategy object
+ * @return {Object} Pagination strategy
+ *
+ */
+export default function paginationFactory(option = 'wp') {
+
+  if(typeof option == 'string') {
+    option = { type: option }
+  }
+
+  if(typeof option.params == 'function' && typeof option.parse == 'function') {
+    return Object.assign({ reset() {} }, option)
+  }
+
+  const factory = strategies[option.type]
+
+  if(!factory) {
+    console.warn(`Unknown pagination type '${ option.type }', use one of [${ Object.keys(strategies) }]. Falling back to 'wp'.`)
+    return wpHeadersPagination()
+  }
+
+  return factory(option)
+}
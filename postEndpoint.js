@@ -9,7 +9,7 @@
  * `X-WP-TOTAL` header, which is the total number of posts in all pages for a
  * given WP_Query. If the  `pathname` passed points to a custom endpoint
  * returning posts, make sure that the WP_Rest_Response returned contains
- * this header.
+ * this header, or use a different `pagination` strategy (see `pagination.js`).
  *
  * Designed to work with WP Rest api endpoints that return posts or custom post
  * types.
@@ -40,11 +40,110 @@
  *
  * ```
  *
+ * Setting a new query aborts any request still in flight for the previous
+ * one, those requests reject with an `AbortError` (see `isAbortError()`).
+ *
+ * With the `prefetch` option, `prefetch()` loads the next page into the
+ * request cache while the browser is idle, so that the next `get()` resolves
+ * without waiting for the network.
+ *
  */
 
 import { stateMixin, requestMixin } from './mixins'
+import { isAbortError, abortError } from './apiFetch'
+import paginationFactory from './pagination'
 import { serializeObject, mapObject, extractURLParameters } from './utils'
 
+/**
+ * Post endpoint defaults
+ * @type {Object}
+ */
+const defaults = {
+
+  /**
+   * Set the initial query based on the URL query string
+   * @type {Boolean}
+   */
+  parseURL: false,
+
+  /**
+   * Request cache options ({ maxEntries, ttl }), or false to disable caching.
+   * See `cacheFactory`
+   * @type {Object|Boolean}
+   */
+  cache: {},
+
+  /**
+   * Persist responses between page loads: `true` for the default storage, a storage
+   * adapter, or `{ adapter, staleTimeout, maxAge }`. See `requestMixin`
+   * @type {Object|Boolean}
+   */
+  storage: false,
+
+  /**
+   * Retry failed requests with transient errors (429, 502, 503, 504, network failures):
+   * `true` for the defaults or `{ attempts, delay, maxDelay, statuses, networkErrors }`.
+   * See `apiFetch`
+   * @type {Object|Boolean}
+   */
+  retry: false,
+
+  /**
+   * API client performing the requests (see `apiClientFactory`). Null uses
+   * the default `Global` based client
+   * @type {Object|Null}
+   */
+  client: null,
+
+  /**
+   * Pagination strategy: 'wp', 'count', 'offset', 'cursor', an object with a `type` & the
+   * strategy options (ie: `{ type: 'cursor', field: 'next_cursor' }`) or a custom strategy.
+   * See `pagination.js`
+   * @type {String|Object}
+   */
+  pagination: 'wp',
+
+  /**
+   * Adapter for non WP responses, receives the parsed JSON & the Response & should return
+   * `{ items, total, nextCursor }` (`total` & `nextCursor` are optional). By default the
+   * JSON is expected to be an array of posts & the total is read from the WP headers
+   * @type {Function|Null}
+   */
+  transformResponse: null,
+
+  /**
+   * Allow prefetching the next page with `prefetch()`: `true` for the defaults or
+   * `{ limit, timeout }`, see `prefetchDefaults`. Requires the cache
+   * @type {Object|Boolean}
+   */
+  prefetch: false
+}
+
+/**
+ * Default prefetch options
+ * @type {Object}
+ */
+const prefetchDefaults = {
+
+  /**
+   * Maximum number of prefetch requests in flight, across all endpoints
+   * @type {Number}
+   */
+  limit: 2,
+
+  /**
+   * Maximum time in milliseconds to wait for the browser to be idle
+   * @type {Number}
+   */
+  timeout: 2000
+}
+
+/**
+ * Number of prefetch requests in flight, across all endpoints
+ * @type {Number}
+ */
+let prefetching = 0
+
 /**
  * Returns a post endpoint object instance. Implements request mixin for caching of requests
  * & stateMixin for internal state management.
@@ -54,18 +153,73 @@ import { serializeObject, mapObject, extractURLParameters } from './utils'
  *
  * @param  {String} pathname The base pathname this endpoint is going to use
  * @param  {Object} config   Configuration object to be set as query paramters
+ * @param  {Object|Boolean} options Endpoint options, see `defaults`. Passing a boolean is
+ * still supported & sets the `parseURL` option
+ * @param  {String} method   Request method
  * @return {Object} post endpoint instance
  */
-export default function postEndpointFactory(pathname, config = {}, parseURL = false, method = 'GET') {
+export default function postEndpointFactory(pathname, config = {}, options = {}, method = 'GET') {
+
+  if(typeof options == 'boolean') {
+    options = { parseURL: options }
+  }
+
+  const {
+    parseURL, cache, storage, retry, client, pagination: paginationOption, transformResponse, prefetch
+  } = Object.assign({}, defaults, options)
+
+  const pagination = paginationFactory(paginationOption)
+
+  const prefetchOptions = prefetch && cache !== false ?
+    Object.assign({}, prefetchDefaults, prefetch === true ? {} : prefetch) :
+    false
 
   let page = 0
+  let loadedPage = 0
+  let pending = 0
   let params = Object.assign({}, config)
 
-  const endpoint = Object.assign(stateMixin(), requestMixin(), {
+  /**
+   * Incremented each time the query changes or requests are aborted, used
+   * to discard responses that belong to a superseded query
+   * @type {Number}
+   */
+  let queryId = 0
+
+  /**
+   * Controller shared by all the requests of the current query
+   * @type {AbortController|null}
+   */
+  let controller = null
+
+  /**
+   * Get the signal of the current query's controller, creating it if needed
+   * @return {AbortSignal|undefined}
+   */
+  const getSignal = () => {
+
+    if(!controller && typeof AbortController !== 'undefined') {
+      controller = new AbortController()
+    }
+
+    return controller ? controller.signal : undefined
+  }
+
+  /**
+   * Get the request URL of a page of the current query
+   * @param  {Number} current Page number
+   * @param  {Number} perPage Items per page
+   * @return {String} Request URL
+   */
+  const pageRequest = (current, perPage) => pathname + '?' + serializeObject(Object.assign({}, params, pagination.params(current, perPage)))
+
+  const endpoint = Object.assign(stateMixin(), requestMixin({ cache, storage, client }), {
 
     state: {
       isFinished: false,
-      foundPosts: 0
+      foundPosts: 0,
+      error: null,
+      loading: false
     },
 
     /**
@@ -97,45 +251,129 @@ export default function postEndpointFactory(pathname, config = {}, parseURL = fa
      * Load the next page with the current query. Checks it the current query
      * is finished and sets finished state accordingly
      *
-     * @return {Promise} Response.json() promise
+     * The `loading` state is true while the endpoint has requests in flight.
+     *
+     * If the request fails, the `error` state is set, `listing-error` is published
+     * & the page count goes back to the last loaded page, so calling `get()` again
+     * retries the same page.
+     *
+     * @return {Promise} Promise resolving with the page items
      *
      */
     get() {
 
-      const request = pathname + '?' + serializeObject(Object.assign({}, params, {
-        page: ++page
-      }))
-
       if(this.state.isFinished) {
         return
       }
 
-      return this.fetch(request, method)
+      const current = ++page
+      const perPage = parseInt(this.getParam('per_page')) || 10
+
+      const request = pageRequest(current, perPage)
+
+      const id = queryId
+
+      pending++
+      this.setState({ loading: true })
+
+      return this.fetch(request, method, {
+        signal: getSignal(),
+        retry
+      })
         .then(res => {
 
-          const total = res.headers.get('X-WP-TOTAL')
+          pending--
 
-          if(!total) {
-            console.warn(`postEndpoint is meant to work with a WP Rest API response, which should contain an 'X-WP-TOTAL' headeer, stating the total number of posts in the query. The endpoint uses this to detect when there are no more posts to load.`)
-            return res.json()
+          // A newer query has been set while this request was in flight
+          if(id !== queryId) {
+            throw abortError('The request was superseded by a newer query')
           }
 
-          const isFinished = page * this.getParam('per_page') >= parseInt(total)
+          return res.json()
+            .then(json => {
+
+              // Or while its body was being read, ie: cached & persisted responses
+              // that don't abort with the signal
+              if(id !== queryId) {
+                throw abortError('The request was superseded by a newer query')
+              }
+
+              const result = normalizeResponse(json, res, transformResponse)
+              const { isFinished, foundPosts } = pagination.parse(result, current, perPage)
+
+              loadedPage = Math.max(loadedPage, current)
 
-          this.setState({
-            foundPosts: parseInt(res.headers.get('X-WP-TOTAL')),
-            isFinished: isFinished
-          })
+              this.setState({
+                foundPosts: foundPosts,
+                isFinished: isFinished,
+                error: null,
+                loading: pending > 0
+              })
+
+              if(isFinished) {
+                this.publish('listing-finished')
+              }
+
+              return result.items
+            })
+        }, error => {
+          pending--
+          throw error
+        })
+        .catch(error => {
 
-          if(isFinished) {
-            this.publish('listing-finished')
+          // Errors of a superseded query are treated as aborted requests
+          if(isAbortError(error) || id !== queryId) {
+            this.setState({ loading: pending > 0 })
+            throw isAbortError(error) ? error : abortError('The request was superseded by a newer query')
           }
 
-          return res.json()
+          page = loadedPage
+
+          this.setState({ error, loading: pending > 0 })
+          this.publish('listing-error', error)
+
+          throw error
         })
 
     },
 
+    /**
+     * Prefetch the next page of the current query into the request cache once the browser is
+     * idle, so that the next `get()` resolves from it. Skipped if the `prefetch` option is disabled,
+     * the query is finished or has failed, a page is still loading, or too many prefetches are
+     * already in flight. Setting a new query aborts the prefetch.
+     *
+     * @return {Promise} Resolves with whether the next page was prefetched, never rejects
+     */
+    prefetch() {
+
+      if(!prefetchOptions) {
+        return Promise.resolve(false)
+      }
+
+      const id = queryId
+
+      return whenIdle(prefetchOptions.timeout)
+        .then(() => {
+
+          if(id !== queryId || this.state.isFinished || this.state.error || page !== loadedPage || prefetching >= prefetchOptions.limit) {
+            return false
+          }
+
+          const perPage = parseInt(this.getParam('per_page')) || 10
+
+          prefetching++
+
+          return this.fetch(pageRequest(page + 1, perPage), method, { signal: getSignal() })
+            .then(res => res.ok, () => false)
+            .then(prefetched => {
+              prefetching--
+              return prefetched
+            })
+        })
+    },
+
     /**
      * Set the query for the endpoint and call `this.get` to get the first
      * page of this new query automatically.
@@ -146,8 +384,11 @@ export default function postEndpointFactory(pathname, config = {}, parseURL = fa
      * @return {Promise} The promise return value of `this.get()``
      */
     setQuery(query, runQuery = true) {
+      this.abort()
       page = 0
-      this.setState({ isFinished: false })
+      loadedPage = 0
+      pagination.reset()
+      this.setState({ isFinished: false, error: null })
       Object.assign(params, query)
 
       // Delete queries keys that are empty
@@ -162,6 +403,31 @@ export default function postEndpointFactory(pathname, config = {}, parseURL = fa
 
     clearQuery() {
       params = Object.assign({}, config)
+    },
+
+    /**
+     * Abort the requests in flight for the current query. Their promises reject
+     * with an `AbortError` and the page count goes back to the last loaded page.
+     *
+     * @return {null}
+     */
+    abort() {
+
+      queryId++
+      page = loadedPage
+
+      if(controller) {
+        controller.abort()
+        controller = null
+      }
+    },
+
+    /**
+     * Whether there are requests in flight for this endpoint
+     * @return {Boolean}
+     */
+    isLoading() {
+      return pending > 0
     }
 
   })
@@ -174,3 +440,51 @@ export default function postEndpointFactory(pathname, config = {}, parseURL = fa
   return endpoint
 
 }
+
+/**
+ * Wait for the browser to be idle, using `requestIdleCallback` when available
+ *
+ * @param  {Number} timeout Maximum time to wait in milliseconds
+ * @return {Promise}
+ */
+function whenIdle(timeout) {
+
+  return new Promise(resolve => {
+
+    if(typeof window.requestIdleCallback == 'function') {
+      window.requestIdleCallback(resolve, { timeout })
+    } else {
+      setTimeout(resolve, 0)
+    }
+  })
+}
+
+/**
+ * Normalize a page response into `{ items, total, totalPages, nextCursor, json, response }`
+ *
+ * @param  {Any}      json     Parsed JSON response
+ * @param  {Response} res      Fetch response
+ * @param  {Function|Null} transformResponse Response adapter, see `defaults`
+ * @return {Object} Normalized result
+ */
+function normalizeResponse(json, res, transformResponse) {
+
+  const header = name => {
+    const value = parseInt(res.headers.get(name))
+    return isNaN(value) ? null : value
+  }
+
+  const result = Object.assign({
+    items: json,
+    total: header('X-WP-Total'),
+    totalPages: header('X-WP-TotalPages'),
+    nextCursor: null
+  }, transformResponse ? transformResponse(json, res) : {})
+
+  if(!Array.isArray(result.items)) {
+    console.warn(`postEndpoint expects the response items to be an array, use the 'transformResponse' option to extract them from the response.`)
+    result.items = []
+  }
+
+  return Object.assign(result, { json, response: res })
+}
@@ -13,7 +13,16 @@
 
 import { stateMixin, templateMixin } from './mixins'
 import postEndpointFactory from './postEndpoint'
-import { debounce, mapObject, collection, toggleClass, inArray, elScrolledToBottom } from './utils'
+import { isAbortError } from './apiFetch'
+import i18nFactory from './i18n'
+import highlighterFactory from './highlight'
+import html, { raw } from './html'
+import reconcileChildren, { patchElement } from './keyed'
+import virtualListFactory from './virtualList'
+import facetFactory from './facets'
+import facetCountsFactory from './facetCounts'
+import filterFactory, { parseSort, sortMatches } from './filters'
+import { debounce, mapObject, collection, toggleClass, inArray, serializeObject, extractURLParameters, delegate, closest, selectorMatches, createElement, getSnippet } from './utils'
 
 
 /**
@@ -25,9 +34,119 @@ const defaults = {
    * Timeout for the search input, used for debouncing search requests
    * @type {Number}
    */
-  searchTimeout: 600
+  searchTimeout: 600,
+
+  /**
+   * Reflect the search term, query parameters & page of each listing in the
+   * URL query string, and restore them on load & on back/forward navigation.
+   * When enabled, the listings' `parseURL` option is ignored.
+   * @type {Boolean}
+   */
+  history: false,
+
+  /**
+   * API client used by the listings (see `apiClientFactory`). Null uses the
+   * default client, configured from `window.Global`
+   * @type {Object|Null}
+   */
+  client: null,
+
+  /**
+   * Combobox mode: the input controls the listings as an ARIA combobox, the arrow keys move
+   * through the results of all the listings, Enter follows the active result & Escape
+   * clears the search
+   * @type {Boolean}
+   */
+  combobox: false,
+
+  /**
+   * Announce loading, result counts & errors to screen readers through a polite live region:
+   * 'total' announces the total results of all listings, 'listings' the results of each
+   * listing, false disables the announcements
+   * @type {String|Boolean}
+   */
+  announce: 'total',
+
+  /**
+   * Messages overriding the default catalogue (see `i18n.js`). Either strings with `{placeholder}`
+   * values, functions receiving the values & returning a string, or plural objects
+   * (ie: `{ one: '{count} result', other: '{count} results' }`). Available values: `count`, `query`,
+   * `label` (listing label, `listingResults` only) & `message` (error message, `error` only)
+   * @type {Object}
+   */
+  messages: {},
+
+  /**
+   * Locale used for plurals & number formatting, defaults to the document language
+   * @type {String|Null}
+   */
+  locale: null,
+
+  /**
+   * Language forwarded to the listings' endpoints & the facets' term requests as the `lang`
+   * query parameter (ie: WPML), unless the listing's `config` (or the facet's `query`) sets its own
+   * @type {String|Null}
+   */
+  lang: null,
+
+  /**
+   * Facets generated from taxonomy term routes, each one an object of `facetFactory` options
+   * (`{ route, taxonomy, listing, rootEl, type, template, hierarchical }`, see `facets.js`).
+   * Their controls filter the listings like the `taxToggles`
+   * @type {Array}
+   */
+  facets: [],
+
+  /**
+   * Template of the chips rendered in the `[data-activeFilters]` elements, receives the filter
+   * (`{ type, label, listing, param, value }`, type being 'search' or 'taxonomy') & the template
+   * context of the view (`{ t }`). Should return a single root element's markup, clicking the
+   * element removes the filter
+   * @type {Function}
+   */
+  chipTemplate: filterChipTemplate
+}
+
+/**
+ * Default template of the active filter chips
+ *
+ * @param  {Object} filter  Active filter
+ * @param  {Object} context Template context
+ * @return {String} Markup
+ */
+function filterChipTemplate({ label }, { t }) {
+  return html`
+    <button type="button" class="filter-chip" aria-label="${ t('removeFilter', { label }) }">
+      ${ label } <span class="filter-chip__remove" aria-hidden="true">×</span>
+    </button>
+  `
+}
+
+/**
+ * Whether two query parameter objects are the same, ignoring empty values (which
+ * `setQuery` removes) & comparing values as strings (as in the URL)
+ *
+ * @param  {Object} a Query parameters
+ * @param  {Object} b Query parameters
+ * @return {Boolean}
+ */
+function sameParams(a, b) {
+
+  const serialize = params => Object.keys(params)
+    .filter(key => String(params[key]).length)
+    .sort()
+    .map(key => `${ key }=${ params[key] }`)
+    .join('&')
+
+  return serialize(a) == serialize(b)
 }
 
+/**
+ * Counter used to generate unique element ids
+ * @type {Number}
+ */
+let uid = 0
+
 /**
  * Listing Defaults
  * @type {Object}
@@ -40,6 +159,12 @@ const listingDefaults = {
    */
   searchParam: 'search',
 
+  /**
+   * Human readable name of the listing, used as the accessible name of the listing
+   * @type {String}
+   */
+  label: '',
+
   /**
    * No Results template should be a function that returns a single root element's markup.
    * Null by default (noop)
@@ -47,11 +172,140 @@ const listingDefaults = {
    */
   noResultsTemplate: null,
 
+  /**
+   * Loading template, rendered `loadingCount` times into the listing while its first page loads
+   * (ie: skeleton placeholders). Should return a single root element's markup.
+   * Null by default (noop)
+   * @type {Function|Null}
+   */
+  loadingTemplate: null,
+
+  /**
+   * Number of times the `loadingTemplate` gets rendered
+   * @type {Number}
+   */
+  loadingCount: 3,
+
+  /**
+   * Error template, rendered into the listing when a request fails. Receives the error
+   * (`ApiError`, `NetworkError`...) & should return a single root element's markup. Add
+   * a `[data-retry]` element to it to let the user retry the request.
+   * Null by default (noop)
+   * @type {Function|Null}
+   */
+  errorTemplate: null,
+
   /**
    * Tells the listing to set the query based on the URL query string on load
    * @type {Boolean}
    */
-  parseURL: false
+  parseURL: false,
+
+  /**
+   * Request cache options for the listing's endpoint: `{ maxEntries, ttl }` (ttl in milliseconds),
+   * or false to disable caching. Null uses the endpoint defaults
+   * @type {Object|Boolean|Null}
+   */
+  cache: null,
+
+  /**
+   * Persist the listing's responses between page loads & serve them when the network is slow or
+   * offline: `true` for the default IndexedDB/localStorage storage, a storage adapter, or
+   * `{ adapter, staleTimeout, maxAge }`
+   * @type {Object|Boolean}
+   */
+  storage: false,
+
+  /**
+   * Retry the listing's requests failing with transient errors (429, 502, 503, 504, network
+   * failures): `true` for the defaults or `{ attempts, delay, maxDelay, statuses, networkErrors }`
+   * @type {Object|Boolean}
+   */
+  retry: false,
+
+  /**
+   * API client for this listing, overrides the view's `client` option
+   * @type {Object|Null}
+   */
+  client: null,
+
+  /**
+   * Pagination strategy of the listing's endpoint: 'wp' (`X-WP-Total`/`X-WP-TotalPages` headers),
+   * 'count' (finished when a page returns fewer than `per_page` items), 'offset', 'cursor', or an object
+   * with a `type` & the strategy options (ie: `{ type: 'cursor', field: 'next_cursor' }`)
+   * @type {String|Object}
+   */
+  pagination: 'wp',
+
+  /**
+   * Adapter for endpoints that don't return an array of WP posts (ie: results wrapped in an envelope).
+   * Receives the parsed JSON & the Response, should return `{ items, total, nextCursor }`. The items
+   * are the ones passed to the listing's `template`
+   * @type {Function|Null}
+   */
+  transformResponse: null,
+
+  /**
+   * Highlight the search terms in the items' fields: `true` or an options object
+   * (`{ fields, tag, className, minLength, tags }`, see `highlight.js`). The highlighted markup
+   * is sanitized & passed to the template's context as `highlighted` (ie: `highlighted.title`)
+   * @type {Boolean|Object}
+   */
+  highlight: false,
+
+  /**
+   * Default options of the `snippet()` helper passed to the template's context
+   * (`{ length, fragments, ellipsis, separator }`, see `getSnippet` in `utils.js`)
+   * @type {Object}
+   */
+  snippet: {},
+
+  /**
+   * Keyed rendering: instead of clearing & re-appending the listing on each query, the existing
+   * elements are matched to the new items by key, patched in place & moved only when needed, and
+   * only the new ones get revealed. `true` keys the items by `id`, or a function `item => key`
+   * @type {Boolean|Function}
+   */
+  keyed: false,
+
+  /**
+   * Virtual rendering for very long listings: only the items visible within the `scrollWrapper`
+   * (or the window) plus `overscan` items around them are kept in the DOM. `true` or
+   * `{ estimatedHeight, overscan }` (see `virtualList.js`). Items aren't revealed in a staggered
+   * manner, and the listing's `rootEl` shouldn't contain other elements. Takes precedence over `keyed`
+   * @type {Boolean|Object}
+   */
+  virtual: false,
+
+  /**
+   * Load the next page when the user scrolls to the bottom of the listing, within the
+   * `scrollWrapper` or the window
+   * @type {Boolean}
+   */
+  scroll: false,
+
+  /**
+   * Distance in pixels from the bottom of the `scrollWrapper` (or the window) at which
+   * scrolling listings start loading their next page
+   * @type {Number}
+   */
+  scrollMargin: 300,
+
+  /**
+   * Prefetch the next page of the listing in the background once a page is populated, so
+   * that loading it is instant: `true` or `{ limit, timeout }` (see `postEndpoint.js`)
+   * @type {Object|Boolean}
+   */
+  prefetch: false,
+
+  /**
+   * Show the number of results each taxonomy toggle & facet option of the listing would produce
+   * with the current query, in their label's `[data-facetCount]` element (select options get it
+   * appended to their text), & disable the ones without results. `true` counts each term with a
+   * `per_page=1` request reading `X-WP-Total`, or `{ aggregate, concurrency, cache }` (see `facetCounts.js`)
+   * @type {Boolean|Object}
+   */
+  facetCounts: false
 }
 
 /**
@@ -73,7 +327,13 @@ const uiSelectors = [
 const uiArraySelectors = [
   'count',
   'query',
-  'loadMore'
+  'loadMore',
+  'retry',
+  'loading',
+  'activeFilters',
+  'clearFilters',
+  'filter',
+  'sort'
 ]
 
 
@@ -114,9 +374,10 @@ const searchViewProto = {
    * @param  {String}      listingConfig.pathname Base pathname that the listing will use to query the API with
    * @param  {String}      listingConfig.searchParam Query parameter key required for the listing to perform a search in the give API.
    * For default WP Rest endpoints, the key is 'search'. Example: 'wp/v2/posts?search=search-query'
-   * @param  {Boolean}     listingConfig.scroll Whether scrolling the `scrollWrapper` element in the listing should trigger loading the
-   * next set of items within
+   * @param  {Boolean}     listingConfig.scroll Whether scrolling to the bottom of the listing (within the `scrollWrapper` element
+   * or the window) should trigger loading the next set of items within
    * @param  {Object}      listingConfig.config Additional query parameters that should be set as defaults for the API endpoint
+   * @param  {Object|Boolean} listingConfig.cache Request cache options for the endpoint ({ maxEntries, ttl }) or false
    *
    * @return {null}
    */
@@ -124,7 +385,10 @@ const searchViewProto = {
 
     const listingOptions = Object.assign({}, listingDefaults, listingConfig)
 
-    const { rootEl, pathname, template, searchParam, config, parseURL } = listingOptions
+    const {
+      rootEl, pathname, template, searchParam, config, parseURL,
+      cache, storage, retry, client, pagination, transformResponse, virtual, prefetch, facetCounts
+    } = listingOptions
 
     const warning = message => {
       console.warn(`${name} listing error: ${message}`)
@@ -150,10 +414,37 @@ const searchViewProto = {
       return
     }
 
-    this.listings[name] = Object.assign({}, listingOptions, {
-      endpoint: postEndpointFactory(pathname, config, parseURL)
+    const endpointConfig = Object.assign({}, this.options.lang ? { lang: this.options.lang } : {}, config)
+
+    const listing = this.listings[name] = Object.assign({}, listingOptions, {
+      name: name,
+      config: endpointConfig,
+      endpoint: postEndpointFactory(pathname, endpointConfig, {
+        parseURL: parseURL && !this.options.history,
+        cache: cache === null ? {} : cache,
+        storage,
+        retry,
+        client: client || this.options.client,
+        pagination,
+        transformResponse,
+        prefetch
+      })
     })
 
+    if(facetCounts) {
+      listing.facetCounts = facetCountsFactory(Object.assign({
+        pathname,
+        client: client || this.options.client
+      }, facetCounts === true ? {} : facetCounts))
+    }
+
+    if(virtual) {
+      listing.virtualList = virtualListFactory(rootEl, Object.assign({
+        scrollEl: this.els.scrollWrapper || window,
+        render: post => this.compile(post, template, this.getTemplateContext(listing, post))
+      }, virtual === true ? {} : virtual))
+    }
+
   },
 
   /**
@@ -166,15 +457,24 @@ const searchViewProto = {
    */
   populate(listing, posts) {
 
-    const { endpoint, rootEl, template, noResultsTemplate } = listing
+    const { endpoint, rootEl, template, noResultsTemplate, keyed, virtualList } = listing
 
+    this.clearError(listing)
     this.clearListing(listing)
 
+    if(virtualList) {
+      return this.populateVirtual(listing, posts)
+    }
+
+    if(keyed) {
+      return this.populateKeyed(listing, posts)
+    }
+
     const elements = posts.length ?
       // Compile the posts into HTML elements
-      posts.map(post => this.compile(post, template)) :
+      posts.map(post => this.compile(post, template, this.getTemplateContext(listing, post))) :
       // If theres a template for "No Results", use it
-      noResultsTemplate ? [ this.compile({}, noResultsTemplate) ] : []
+      noResultsTemplate ? [ this.compile({}, noResultsTemplate, this.getTemplateContext(listing)) ] : []
 
     elements
       // Add them
@@ -186,14 +486,262 @@ const searchViewProto = {
       // Reveal in a staggered manner
       .map((toggle, i) => setTimeout(() => toggle(false) , i * 50 + 100))
 
-    this.publish('populated', elements, listing)
+    this.publish('populated', elements, listing, posts)
+
+  },
+
+  /**
+   * Populate a keyed listing. Elements already in the listing with the key of an item
+   * (`data-key` attribute) are patched to match its compiled template, the new ones get
+   * inserted & revealed. On the first page the listing ends up containing the items only,
+   * in their order, further pages are appended.
+   *
+   * @param  {Object} listing Listing object from the searchView instance
+   * @param  {Array} posts   Array of posts to populate with
+   * @return {null}
+   */
+  populateKeyed(listing, posts) {
+
+    const { endpoint, rootEl, template, noResultsTemplate, keyed } = listing
+
+    const getKey = typeof keyed == 'function' ? keyed : post => post.id
+    const existing = {}
+    const added = []
+
+    collection(rootEl.children)
+      .filter(el => el.hasAttribute('data-key'))
+      .map(el => existing[el.getAttribute('data-key')] = el)
+
+    const elements = posts.map(post => {
+
+      const key = String(getKey(post))
+      const el = this.compile(post, template, this.getTemplateContext(listing, post))
+
+      el.setAttribute('data-key', key)
+
+      if(existing[key]) {
+        const patched = patchElement(existing[key], el)
+        // Items with a duplicated key get their own element
+        delete existing[key]
+        return patched
+      }
+
+      added.push(el)
+      return el
+    })
+
+    if(!posts.length && noResultsTemplate) {
+      elements.push(this.compile({}, noResultsTemplate, this.getTemplateContext(listing)))
+      added.push(elements[0])
+    }
+
+    const toggles = added.map(el => toggleClass(el, 'is-hidden', true))
+
+    if(endpoint.getPage() == 1) {
+      reconcileChildren(rootEl, elements)
+    } else {
+      added.map(el => rootEl.appendChild(el))
+    }
+
+    // Reveal the new elements only, in a staggered manner
+    toggles.map((toggle, i) => setTimeout(() => toggle(false) , i * 50 + 100))
+
+    this.publish('populated', elements, listing, posts)
 
   },
 
-  clearListing({ endpoint, rootEl }) {
-    // Clear and scroll to the top if we're on the first page
+  /**
+   * Populate a virtual listing. The first page replaces the items of the listing's
+   * virtual list, further pages are appended to it.
+   *
+   * @param  {Object} listing Listing object from the searchView instance
+   * @param  {Array} posts   Array of posts to populate with
+   * @return {null}
+   */
+  populateVirtual(listing, posts) {
+
+    const { endpoint, rootEl, noResultsTemplate, virtualList } = listing
+
     if(endpoint.getPage() == 1) {
+
+      this.clearNoResults(listing)
+      virtualList.setItems(posts)
+
+      if(!posts.length && noResultsTemplate) {
+        listing.noResultsEl = this.compile({}, noResultsTemplate, this.getTemplateContext(listing))
+        rootEl.appendChild(listing.noResultsEl)
+      }
+
+    } else {
+      virtualList.append(posts)
+    }
+
+    this.publish('populated', virtualList.getElements(), listing, posts)
+
+  },
+
+  /**
+   * Remove the "No Results" element of a virtual listing, if any
+   * @param  {Object} listing Listing object from the searchView instance
+   * @return {null}
+   */
+  clearNoResults(listing) {
+
+    const { noResultsEl } = listing
+
+    if(noResultsEl && noResultsEl.parentNode) {
+      noResultsEl.parentNode.removeChild(noResultsEl)
+    }
+
+    listing.noResultsEl = null
+  },
+
+  /**
+   * Get the context passed as the second argument to the listing's templates
+   *
+   * @param  {Object} listing Listing object from the searchView instance
+   * @param  {Object} item    Item being compiled, if any
+   * @return {Object} Template context: `query` (search term), `listing` (listing object),
+   * `t` (translate a message, see `i18n.js`), `formatNumber` & `snippet(html, options)` (passage
+   * of a content around the search terms). If the listing has `highlight` enabled, also
+   * `highlight(html)` & `highlighted` (the item's highlighted fields). The highlighted markup is
+   * sanitized (only inline formatting tags are kept) & returned as `raw()` values, so `html`
+   * templates don't escape it
+   */
+  getTemplateContext(listing, item) {
+
+    const { endpoint, searchParam, highlight, snippet } = listing
+    const { i18n } = this
+    const query = endpoint.getParam(searchParam) || ''
+
+    const context = {
+      query: query,
+      listing: listing,
+      t: (key, values) => i18n.t(key, values),
+      formatNumber: number => i18n.formatNumber(number),
+      snippet: (html, options) => getSnippet(html, query, Object.assign({}, snippet, options))
+    }
+
+    if(highlight) {
+      const highlighter = highlighterFactory(query, highlight === true ? {} : highlight)
+      const highlighted = item ? highlighter.fields(item) : {}
+
+      context.highlight = html => raw(highlighter.highlight(html))
+      context.highlighted = {}
+
+      mapObject(highlighted, (field, markup) => context.highlighted[field] = raw(markup))
+    }
+
+    return context
+  },
+
+  /**
+   * Render the listing's error template for a failed request. If the first page
+   * failed, the previous results get cleared as they don't match the query anymore.
+   *
+   * @param  {Object} listing Listing object from the searchView instance
+   * @param  {Error}  error   Request error
+   * @return {null}
+   */
+  renderError(listing, error) {
+
+    const { endpoint, rootEl, errorTemplate, virtualList } = listing
+
+    this.clearError(listing)
+
+    if(endpoint.getPage() == 0 && virtualList) {
+      this.clearNoResults(listing)
+      virtualList.setItems([])
+    } else if(endpoint.getPage() == 0) {
+      rootEl.innerHTML = ''
+    }
+
+    if(errorTemplate) {
+      listing.errorEl = this.compile(error, errorTemplate, this.getTemplateContext(listing))
+      rootEl.appendChild(listing.errorEl)
+    }
+  },
+
+  /**
+   * Render the listing's loading template `loadingCount` times, replacing the listing's
+   * content. Keyed & virtual listings only render it while they are empty, to keep their
+   * existing elements.
+   *
+   * @param  {Object} listing Listing object from the searchView instance
+   * @return {null}
+   */
+  renderLoading(listing) {
+
+    const { rootEl, loadingTemplate, loadingCount, keyed, virtualList } = listing
+
+    this.clearLoading(listing)
+
+    if(!loadingTemplate) {
+      return
+    }
+
+    if((keyed && rootEl.querySelector('[data-key]')) || (virtualList && virtualList.size())) {
+      return
+    }
+
+    if(!keyed && !virtualList) {
       rootEl.innerHTML = ''
+    }
+
+    const context = this.getTemplateContext(listing)
+
+    for(let i = 0; i < loadingCount; i++) {
+      const el = this.compile({}, loadingTemplate, context)
+      el.setAttribute('aria-hidden', 'true')
+      listing.loadingEls.push(rootEl.appendChild(el))
+    }
+  },
+
+  /**
+   * Remove the listing's loading elements, if any
+   * @param  {Object} listing Listing object from the searchView instance
+   * @return {null}
+   */
+  clearLoading(listing) {
+
+    (listing.loadingEls || [])
+      .filter(el => el.parentNode)
+      .map(el => el.parentNode.removeChild(el))
+
+    listing.loadingEls = []
+  },
+
+  /**
+   * Whether any of the listings is loading
+   * @return {Boolean}
+   */
+  isLoading() {
+    return mapObject(this.listings, (name, { endpoint }) => endpoint.state.loading).some(v => v)
+  },
+
+  /**
+   * Remove the listing's error element, if any
+   * @param  {Object} listing Listing object from the searchView instance
+   * @return {null}
+   */
+  clearError(listing) {
+
+    const { errorEl } = listing
+
+    if(errorEl && errorEl.parentNode) {
+      errorEl.parentNode.removeChild(errorEl)
+    }
+
+    listing.errorEl = null
+  },
+
+  clearListing({ endpoint, rootEl, keyed, virtualList }) {
+    // Clear and scroll to the top if we're on the first page. Keyed & virtual
+    // listings replace their elements when populating instead
+    if(endpoint.getPage() == 1) {
+      if(!keyed && !virtualList) {
+        rootEl.innerHTML = ''
+      }
       this.scrollToTop()
     }
   },
@@ -223,11 +771,13 @@ const searchViewProto = {
    *
    * Once all listings promises are done, update the state of the view with the new found posts.
    *
+   * @param  {Boolean} replace Replace the current history entry instead of pushing a new one,
+   * ie: while the user types
    * @return {Promise} Promise.all instance of the queries made. If the input is empty
    * Promise.all gets called with an empty array for immediate resolution.
    *
    */
-  search() {
+  search(replace = false) {
 
     const { input } = this.options
 
@@ -239,6 +789,8 @@ const searchViewProto = {
       promises.push(this.setListingQuery(listing, query))
     })
 
+    this.updateURL(replace)
+
     return Promise.all(promises)
       .then(() => {
         this.setResultsVariables()
@@ -250,56 +802,380 @@ const searchViewProto = {
    * Update the query for a given listing & populate the listing with it's results.
    * Toggles loading state & updates foundPosts when request is complete.
    *
+   * Setting a new query supersedes the listing's previous one, if its
+   * request is still in flight it gets aborted & never populates the listing.
+   *
    * @param {Object/undefined} listing Listing object from this view to update
    * @param {Object} query The query to update the listing's enpoint with
    *
-   *  @return {Promise} api request promise
+   *  @return {Promise} api request promise, resolves with the posts or `null`
+   *  if the query got superseded
    */
   setListingQuery(listing, query = {}) {
 
-    const { endpoint } = listing
+    const { endpoint, searchParam, config } = listing
+    const nextParams = Object.assign(endpoint.getParams(), query)
+
+    // WP Rest can only order by relevance when there's a search term
+    if(nextParams.orderby == 'relevance' && !nextParams[searchParam]) {
+      query = Object.assign({}, query, { orderby: config.orderby == 'relevance' ? '' : config.orderby || '' })
+    }
+
+    const request = endpoint.setQuery(query)
 
-    this.setState({ loading: true })
+    this.publish('query-set', listing, query)
 
-    return endpoint.setQuery(query)
+    return request
       .then(posts => {
 
         this.populate(listing, posts)
         this.setResultsVariables()
+        endpoint.prefetch()
+
+        return posts
       })
+      .catch(error => this.handleRequestError(listing, error))
   },
 
   /**
-   * Tally the number of total posts found & clear loading state
+   * Load & populate the next page of a given listing
    *
-   * @return {Null}
+   * @param  {Object} listing Listing object from this view
+   * @return {Promise} api request promise, resolves with the posts or `null`
+   * if the request got aborted, failed or the listing is finished
    */
-  setResultsVariables() {
-    this.setState({
-      loading: false,
-      foundPosts: this.getTotalFoundPosts()
-    })
-  },
+  loadNext(listing) {
 
-  /**
-   *
-   * Check it the view's scroll wrapper has scrolled all the way, if so run a callback
-   *
-   * @param  {Function} cb Callback function to run if it has
+    const { endpoint } = listing
+
+    if(endpoint.state.isFinished) {
+      return Promise.resolve(null)
+    }
+
+    const request = endpoint.get()
+
+    this.updateURL(true)
+
+    return request
+      .then(posts => {
+        this.populate(listing, posts)
+        this.setResultsVariables()
+        endpoint.prefetch()
+
+        return posts
+      })
+      .catch(error => this.handleRequestError(listing, error))
+  },
+
+  /**
+   * Handle a failed request of a listing. Aborted requests are ignored, any
+   * other error renders the listing's error template & publishes `error`.
+   *
+   * @param  {Object} listing Listing object from this view
+   * @param  {Error}  error   Request error
    * @return {null}
    */
-  checkBottom (cb = () => {})  {
+  handleRequestError(listing, error) {
 
-    const { scrollWrapper } = this.els
+    if(isAbortError(error)) {
+
+      // Settle the view's state if no other request superseded the aborted one
+      if(!this.isLoading()) {
+        this.setResultsVariables()
+      }
+
+      return null
+    }
+
+    this.renderError(listing, error)
+    this.setResultsVariables()
+    this.publish('error', error, listing)
+
+    return null
+  },
+
+  /**
+   * Retry the failed request of a listing, or of all the listings in an
+   * error state if none is given
+   *
+   * @param  {Object|undefined} listing Listing object from this view
+   * @return {Promise} Resolves once the listings have been populated
+   */
+  retry(listing) {
+
+    const listings = listing ?
+      [ listing ] :
+      mapObject(this.listings).filter(({ endpoint }) => endpoint.state.error)
+
+    return Promise.all(listings.map(listing => {
+      this.clearError(listing)
+      return this.loadNext(listing)
+    }))
+  },
+
+  /**
+   * Keep loading pages of a listing until the given page number has been reached
+   *
+   * @param  {Object} listing Listing object from this view
+   * @param  {Number} page    Page number to reach
+   * @return {Promise} Resolves once all the pages have been populated
+   */
+  loadUntilPage(listing, page = 1) {
+
+    const { endpoint } = listing
+
+    if(endpoint.getPage() >= page || endpoint.state.isFinished) {
+      return Promise.resolve()
+    }
+
+    return this.loadNext(listing)
+      .then(posts => posts && this.loadUntilPage(listing, page))
+  },
+
+  /**
+   * Get the URL parameters representing the current state of the listings.
+   *
+   * Each parameter is namespaced by the listing name (ie: `posts[search]=foo`),
+   * only parameters that differ from the listing's `config` are included.
+   *
+   * @return {Object} URL parameters object
+   */
+  getURLState() {
+
+    const params = {}
+
+    mapObject(this.listings, (name, { endpoint, config = {} }) => {
+
+      mapObject(endpoint.getParams(), (key, value) => {
+        if(config[key] != value) {
+          params[`${ name }[${ key }]`] = value
+        }
+      })
+
+      if(endpoint.getPage() > 1) {
+        params[`${ name }[page]`] = endpoint.getPage()
+      }
+
+    })
+
+    return params
+  },
+
+  /**
+   * Convert URL parameters into a query & page for each listing
+   *
+   * @param  {Object} params URL parameters object, as returned by `getURLState`
+   * @return {Object} Object containing a `{ query, page }` object per listing name
+   */
+  parseURLState(params = {}) {
+
+    const state = {}
+
+    mapObject(this.listings, name => {
+      state[name] = { query: {}, page: 1 }
+    })
+
+    mapObject(params, (key, value) => {
+
+      const match = key.match(/^([^\[]+)\[(.+)\]$/)
+
+      if(!match || !state[match[1]]) {
+        return
+      }
+
+      const [, name, param] = match
+
+      if(param == 'page') {
+        state[name].page = parseInt(value) || 1
+      } else {
+        state[name].query[param] = value
+      }
+
+    })
+
+    return state
+  },
+
+  /**
+   * Write the current state of the listings to the URL
+   *
+   * @param  {Boolean} replace Replace the current history entry instead of pushing a new one
+   * @return {null}
+   */
+  updateURL(replace = false) {
+
+    if(!this.options.history) {
+      return
+    }
+
+    const { pathname, search, hash } = window.location
+    const query = serializeObject(this.getURLState())
+    const url = pathname + (query.length ? '?' + query : '') + hash
+
+    if(url == pathname + search + hash) {
+      return
+    }
+
+    window.history[replace ? 'replaceState' : 'pushState']({ searchView: true }, '', url)
+  },
+
+  /**
+   * Set the query & page of each listing from the URL, then re-sync the
+   * input & taxonomy toggles with the restored queries. Listings that already
+   * have the restored query keep their results, loading more pages if needed
+   *
+   * @return {Promise} Resolves once all listings have been populated
+   */
+  restoreURLState() {
+
+    const state = this.parseURLState(extractURLParameters())
+
+    const promises = mapObject(state, (name, { query, page }) => {
+
+      const listing = this.listings[name]
+      const { endpoint, config } = listing
+
+      if(sameParams(Object.assign({}, config, query), endpoint.getParams()) && endpoint.getPage() <= page) {
+        return this.loadUntilPage(listing, page)
+      }
+
+      endpoint.clearQuery()
+
+      return this.setListingQuery(listing, query)
+        .then(posts => posts && this.loadUntilPage(listing, page))
+    })
+
+    this.syncInput()
+    this.syncTaxToggles()
+    this.syncFilters()
+
+    return Promise.all(promises)
+  },
+
+  /**
+   * Set the input value from the search parameter of the first listing
+   * that has one
+   *
+   * @return {null}
+   */
+  syncInput() {
 
-    // If the view is hidden, we don't want to run the callback
-    if(!this.state.visible) {
+    const { input } = this.options
+
+    if(!input) {
       return
     }
 
-    if(elScrolledToBottom(scrollWrapper)) {
-      cb()
+    const values = mapObject(this.listings, (name, { endpoint, searchParam }) => endpoint.getParam(searchParam))
+      .filter(v => v)
+
+    input.value = values.length ? values[0] : ''
+
+    this.setState({ visible: !!input.value.length })
+  },
+
+  /**
+   * Check/uncheck the taxonomy toggles according to their listing's current query
+   *
+   * @return {null}
+   */
+  syncTaxToggles() {
+
+    this.getTaxToggles().map(el => {
+
+      const { taxonomy, listing } = el.dataset
+
+      if(!this.listings[listing]) {
+        return
+      }
+
+      const values = (this.listings[listing].endpoint.getParam(taxonomy) || '').split(',')
+
+      if(el.tagName == 'SELECT') {
+        el.value = values[0]
+      } else {
+        el.checked = inArray(el.value, values)
+      }
+    })
+
+  },
+
+  /**
+   * Set the value of the `[data-filter]` controls according to their listing's current query
+   *
+   * @return {null}
+   */
+  syncFilters() {
+    (this.filters || []).map(filter => filter.sync(this.listings[filter.listing].endpoint.getParams()))
+  },
+
+  /**
+   * Get the taxonomy toggles, both the `taxToggles` & the facets' controls
+   * @return {Array} Toggle elements
+   */
+  getTaxToggles() {
+    return (this.facets || []).reduce(
+      (toggles, facet) => toggles.concat(facet.controls),
+      collection(this.options.taxToggles)
+    )
+  },
+
+  /**
+   * Restore the state from the URL on load (if the URL contains any) and
+   * whenever the user navigates back/forward through the history
+   *
+   * @return {null}
+   */
+  bindHistory() {
+
+    if(!this.options.history) {
+      return
+    }
+
+    if(Object.keys(this.getURLStateFromLocation()).length) {
+      this.restoreURLState()
     }
+
+    window.addEventListener('popstate', () => this.restoreURLState())
+
+  },
+
+  /**
+   * Get the URL parameters from the current location that belong to this view's listings
+   *
+   * @return {Object} URL parameters object
+   */
+  getURLStateFromLocation() {
+
+    const params = {}
+
+    mapObject(extractURLParameters(), (key, value) => {
+      mapObject(this.listings, name => {
+        if(key.indexOf(`${ name }[`) === 0) {
+          params[key] = value
+        }
+      })
+    })
+
+    return params
+  },
+
+  /**
+   * Tally the number of total posts found & clear loading state, unless
+   * some listing still has requests in flight
+   *
+   * @return {Null}
+   */
+  setResultsVariables() {
+
+    const errors = mapObject(this.listings, (name, { endpoint }) => endpoint.state.error)
+      .filter(error => error)
+
+    this.setState({
+      loading: this.isLoading(),
+      error: errors.length ? errors[0] : null,
+      foundPosts: this.getTotalFoundPosts()
+    })
   },
 
   /**
@@ -315,57 +1191,569 @@ const searchViewProto = {
       return false
     }
 
-    // We want to update the loading & visible states as soon as the user types
-    input.addEventListener('input', () => {
-      this.setState({
-        loading: !!input.value.length,
-        visible: !!input.value.length
-      })
-    })
+    // We want to update the visible state as soon as the user types, the
+    // loading state follows the listings' requests
+    input.addEventListener('input', () => {
+      this.setState({ visible: !!input.value.length })
+    })
+
+    // But we debounce performing the actual search so
+    // that we don't perform unnecessary XHR requests (give the user a littl
+    // time to type). Partial search terms replace the history entry
+    this.debouncedSearch = debounce(() => {
+      this.search(true)
+    }, searchTimeout)
+
+    input.addEventListener('input', this.debouncedSearch)
+
+  },
+
+  /**
+   * Listen for state changes in the view and perform general UI updates
+   *
+   * `[data-count]` elements display the number of found posts (of their `[data-listing]` or
+   * the total), formatted for the locale. If they have a `[data-message]` attribute, the
+   * matching message of the catalogue is displayed instead (ie: `data-message="results"`).
+   *
+   * @return {null}
+   */
+  bindState() {
+
+    const { input } = this.options
+
+    this.subscribe('state-set', ({ loading, visible, foundPosts, error }) => {
+
+      const toggle = toggleClass(this.el)
+      toggle('is-loading', loading)
+      toggle('is-empty', !visible)
+      toggle('has-error', !!error)
+
+      // Update the count and query UI elements
+      const { count, query } = this.elsArrays
+
+      // Populate the message only when the View is not loading anymore
+      if(!loading) {
+        count.map(el => {
+
+          const { listing, message } = el.dataset
+
+          const count = this.listings[listing] ?
+            this.listings[listing].endpoint.state.foundPosts :
+            foundPosts
+
+          el.textContent = message ?
+            this.i18n.t(message, { count, query: input ? input.value : '' }) :
+            this.i18n.formatNumber(count)
+
+        })
+
+        query.map(el => el.textContent = input.value)
+      }
+
+    })
+
+  },
+
+  /**
+   * Create the visually hidden live region used for the announcements
+   * @return {HTMLElement} Live region element
+   */
+  createLiveRegion() {
+
+    const region = createElement('div', {
+      'class': 'search-view__live-region',
+      'role': 'status',
+      'aria-live': 'polite',
+      'aria-atomic': 'true',
+      'style': 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;'
+    })
+
+    this.el.appendChild(region)
+
+    return region
+  },
+
+  /**
+   * Announce a message to screen readers through the live region
+   *
+   * @param  {String} message Message to announce
+   * @return {null}
+   */
+  announce(message = '') {
+
+    if(!this.liveRegion) {
+      return
+    }
+
+    // Clearing the region first makes repeated messages get announced again
+    this.liveRegion.textContent = ''
+
+    clearTimeout(this.announceTimeout)
+    this.announceTimeout = setTimeout(() => {
+      this.liveRegion.textContent = message
+    }, 100)
+  },
+
+  /**
+   * Get the message describing the results of the current queries
+   * @return {String} Results message
+   */
+  getResultsMessage() {
+
+    const { input, announce } = this.options
+    const { i18n } = this
+    const query = input ? input.value : ''
+    const count = this.state.foundPosts
+
+    if(!count) {
+      return i18n.t(query ? 'noResultsForQuery' : 'noResults', { count, query })
+    }
+
+    if(announce == 'listings') {
+      return mapObject(this.listings, (name, { label, endpoint }) => i18n.t('listingResults', {
+        count: endpoint.state.foundPosts,
+        label: label || name,
+        query
+      })).join('. ')
+    }
+
+    return i18n.t(query ? 'resultsForQuery' : 'results', { count, query })
+  },
+
+  /**
+   * Reflect the loading state of each listing: the listing's `rootEl` gets `is-loading` &
+   * `aria-busy`, `[data-loading]` indicators are shown while their `[data-listing]` (or any
+   * listing, if they have none) is loading, and the first page renders the `loadingTemplate`.
+   * The view's `loading` state is true while any of the listings is loading, see `setResultsVariables`.
+   * @return {null}
+   */
+  bindLoading() {
+
+    const { loading } = this.elsArrays
+
+    const toggleIndicators = () => loading.map(el => {
+
+      const listing = this.listings[el.dataset.listing]
+
+      toggleClass(el, 'is-hidden', !(listing ? listing.endpoint.state.loading : this.isLoading()))
+    })
+
+    mapObject(this.listings, (name, listing) => {
+
+      const { endpoint, rootEl } = listing
+
+      endpoint.subscribe('state-set', (state, prevState) => {
+
+        if(state.loading == prevState.loading) {
+          return
+        }
+
+        toggleClass(rootEl, 'is-loading', state.loading)
+        rootEl.setAttribute('aria-busy', state.loading ? 'true' : 'false')
+
+        if(state.loading && endpoint.getPage() == 1) {
+          this.renderLoading(listing)
+        } else if(!state.loading) {
+          this.clearLoading(listing)
+        }
+
+        toggleIndicators()
+
+        // The view stops loading in `setResultsVariables`, once the results
+        // (or the error) of the request are known
+        if(state.loading) {
+          this.setState({ loading: true })
+        }
+      })
+    })
+
+    toggleIndicators()
+  },
+
+  /**
+   * Update the result counts of the listing's taxonomy toggles & facets for its current query
+   *
+   * @param  {Object} listing Listing object from the searchView instance
+   * @return {Promise} Resolves with the counts, or null if the listing doesn't count its facets or
+   * a newer update superseded this one
+   */
+  updateFacetCounts(listing) {
+
+    const { name, endpoint, facetCounts } = listing
+
+    const toggles = this.getTaxToggles().filter(el => el.dataset.listing == name)
+    const terms = {}
+
+    if(!facetCounts || !toggles.length) {
+      return Promise.resolve(null)
+    }
+
+    toggles.map(el => {
+
+      const { taxonomy } = el.dataset
+      const values = el.tagName == 'SELECT' ? collection(el.options).map(option => option.value) : [ el.value ]
+
+      terms[taxonomy] = (terms[taxonomy] || []).concat(values.filter(value => !inArray(value, terms[taxonomy] || [])))
+    })
+
+    const id = listing.facetCountsId = (listing.facetCountsId || 0) + 1
+
+    return facetCounts.count(endpoint.getParams(), terms)
+      .then(counts => {
+
+        // A newer query has been set in the meantime
+        if(id !== listing.facetCountsId) {
+          return null
+        }
+
+        toggles.map(el => this.renderFacetCount(el, counts[el.dataset.taxonomy] || {}))
+        this.publish('facet-counts', counts, listing)
+
+        return counts
+      })
+      .catch(error => {
+        console.warn(`The facet counts of the ${ name } listing couldn't be loaded: ${ error.message }`)
+        return null
+      })
+  },
+
+  /**
+   * Display the result counts of a taxonomy toggle, disabling it if it has no results (unless
+   * it's active, so that it can be deactivated)
+   *
+   * @param  {HTMLElement} el     Toggle element (input or select)
+   * @param  {Object}      counts Counts of the toggle's taxonomy, by term value
+   * @return {null}
+   */
+  renderFacetCount(el, counts) {
+
+    const format = count => count === null || count === undefined ? '' : this.i18n.t('facetCount', { count })
+
+    if(el.tagName == 'SELECT') {
+
+      collection(el.options).map(option => {
+
+        const count = counts[option.value]
+
+        if(!option.hasAttribute('data-label')) {
+          option.setAttribute('data-label', option.textContent)
+        }
+
+        option.textContent = [ option.getAttribute('data-label'), format(count) ].filter(v => v).join(' ')
+        option.disabled = count === 0 && !option.selected
+      })
+
+      return
+    }
+
+    const count = counts[el.value]
+    const label = closest(el, 'label')
+    const countEl = label && label.querySelector('[data-facetCount]')
+
+    if(countEl) {
+      countEl.textContent = format(count)
+    }
+
+    el.disabled = count === 0 && !el.checked
+
+    if(label) {
+      toggleClass(label, 'is-disabled', el.disabled)
+    }
+  },
+
+  /**
+   * Update the facet counts of the listings having `facetCounts` enabled whenever their query
+   * changes. The updates are debounced, to avoid counting while the user types
+   * @return {null}
+   */
+  bindFacetCounts() {
+
+    const { searchTimeout } = this.options
+
+    mapObject(this.listings)
+      .filter(({ facetCounts }) => facetCounts)
+      .map(listing => {
+
+        const update = debounce(() => this.updateFacetCounts(listing), searchTimeout)
+
+        this.subscribe('populated', (elements, populated) => {
+          if(populated === listing && listing.endpoint.getPage() == 1) {
+            update()
+          }
+        })
+      })
+  },
+
+  /**
+   * Get the filters currently applied to the listings: the search term & each active
+   * taxonomy term (of the taxonomies having toggles or facets)
+   *
+   * @param  {String} name Only get the taxonomy filters of this listing, optional
+   * @return {Array} Filters (`{ type, label, listing, param, value }`)
+   */
+  getActiveFilters(name) {
+
+    const filters = []
+
+    const query = mapObject(this.listings, (name, { endpoint, searchParam }) => endpoint.getParam(searchParam))
+      .filter(v => v)
+
+    if(query.length) {
+      filters.push({
+        type: 'search',
+        label: this.i18n.t('searchFilter', { query: query[0] }),
+        listing: null,
+        param: null,
+        value: query[0]
+      })
+    }
+
+    const toggles = this.getTaxToggles()
+
+    mapObject(this.listings, (listingName, { endpoint }) => {
+
+      if(name && name != listingName) {
+        return
+      }
+
+      const taxonomies = toggles
+        .filter(el => el.dataset.listing == listingName)
+        .map(el => el.dataset.taxonomy)
+        .filter((taxonomy, i, all) => all.indexOf(taxonomy) == i)
+
+      taxonomies.map(taxonomy => {
+        (endpoint.getParam(taxonomy) || '')
+          .split(',')
+          .filter(v => v)
+          .map(value => filters.push({
+            type: 'taxonomy',
+            label: this.getFilterLabel(listingName, taxonomy, value),
+            listing: listingName,
+            param: taxonomy,
+            value: value
+          }))
+      })
+    })
+
+    return filters
+  },
+
+  /**
+   * Get the label of a taxonomy term from its toggle (select option text or input label),
+   * without its facet count
+   *
+   * @param  {String} name     Listing name
+   * @param  {String} taxonomy Taxonomy query parameter
+   * @param  {String} value    Term value
+   * @return {String} Label, or the value if there's no matching toggle
+   */
+  getFilterLabel(name, taxonomy, value) {
+
+    const toggles = this.getTaxToggles()
+      .filter(el => el.dataset.listing == name && el.dataset.taxonomy == taxonomy)
+
+    for(let i = 0; i < toggles.length; i++) {
+
+      const el = toggles[i]
+
+      if(el.tagName == 'SELECT') {
+
+        const option = collection(el.options).filter(option => option.value == value)[0]
+
+        if(option) {
+          return (option.getAttribute('data-label') || option.textContent).replace(/^[—\s]+/, '')
+        }
+
+      } else if(el.value == value) {
+
+        const label = closest(el, 'label')
+
+        if(el.dataset.label || !label) {
+          return el.dataset.label || value
+        }
+
+        const clone = label.cloneNode(true)
+        collection(clone.querySelectorAll('input, [data-facetCount]')).map(child => child.parentNode.removeChild(child))
+
+        return clone.textContent.trim()
+      }
+    }
+
+    return value
+  },
+
+  /**
+   * Remove an active filter: clears the search term, or removes the term from its
+   * listing's taxonomy query
+   *
+   * @param  {Object} filter Active filter, see `getActiveFilters`
+   * @return {Promise} Resolves once the listings have been populated
+   */
+  removeFilter({ type, listing: name, param, value }) {
+
+    const { input } = this.options
+
+    if(type == 'search') {
+
+      if(input) {
+        input.value = ''
+      }
+
+      this.setState({ visible: false })
+
+      return this.search()
+    }
+
+    const listing = this.listings[name]
+
+    if(!listing) {
+      return Promise.resolve(null)
+    }
+
+    const query = {}
+
+    query[param] = (listing.endpoint.getParam(param) || '')
+      .split(',')
+      .filter(v => v && v != value)
+      .join(',')
+
+    const request = this.setListingQuery(listing, query)
+
+    this.updateURL()
+    this.syncTaxToggles()
+
+    return request
+  },
+
+  /**
+   * Reset the search term & the queries of all the listings to their configuration
+   * @return {Promise} Resolves once the listings have been populated
+   */
+  clearFilters() {
+
+    const { input } = this.options
+
+    if(input) {
+      input.value = ''
+    }
+
+    const promises = mapObject(this.listings, (name, listing) => {
+      listing.endpoint.clearQuery()
+      return this.setListingQuery(listing, {})
+    })
+
+    this.setState({ visible: false })
+    this.updateURL()
+    this.syncTaxToggles()
+    this.syncFilters()
+    this.publish('filters-cleared')
+
+    return Promise.all(promises)
+  },
+
+  /**
+   * Render the active filters as chips into a `[data-activeFilters]` element. Scoped to a
+   * listing's taxonomy filters with a `[data-listing]` attribute
+   *
+   * @param  {HTMLElement} el Active filters element
+   * @return {null}
+   */
+  renderActiveFilters(el) {
+
+    const { chipTemplate } = this.options
+    const filters = this.getActiveFilters(el.dataset.listing)
+    const context = { t: (key, values) => this.i18n.t(key, values) }
+
+    el.innerHTML = ''
+
+    filters.map(filter => {
+
+      const chip = this.compile(filter, chipTemplate, context)
+
+      chip.setAttribute('data-removeFilter', '')
+      chip.setAttribute('data-filter-type', filter.type)
+
+      if(filter.type == 'taxonomy') {
+        chip.setAttribute('data-listing', filter.listing)
+        chip.setAttribute('data-param', filter.param)
+        chip.setAttribute('data-value', filter.value)
+      }
+
+      el.appendChild(chip)
+    })
+
+    toggleClass(el, 'is-hidden', !filters.length)
+  },
+
+  /**
+   * Render the active filter chips whenever a listing's query changes. Clicking a chip removes
+   * its filter, `[data-clearFilters]` elements clear all of them (& are hidden when there's none)
+   * @return {null}
+   */
+  bindActiveFilters() {
+
+    const { activeFilters, clearFilters } = this.elsArrays
+
+    const render = () => {
+      activeFilters.map(el => this.renderActiveFilters(el))
+      clearFilters.map(el => toggleClass(el, 'is-hidden', !this.getActiveFilters().length))
+    }
+
+    this.el.addEventListener('click', delegate('[data-removeFilter]', e => {
+
+      const chip = closest(e.target, '[data-removeFilter]')
+      const region = closest(chip, '[data-activeFilters]')
+      const index = region ? collection(region.children).indexOf(chip) : -1
+      const { filterType, listing, param, value } = chip.dataset
+
+      e.preventDefault()
+
+      this.removeFilter({ type: filterType, listing, param, value })
+
+      // Keep the focus within the chips, as the removed one is gone
+      const next = region && (region.children[index] || region.children[index - 1])
+      const fallback = clearFilters.filter(el => !el.classList.contains('is-hidden'))[0] || this.options.input
+
+      if(next || fallback) {
+        (next || fallback).focus()
+      }
+    }))
 
-    // But we debounce performing the actual search so
-    // that we don't perform unnecessary XHR requests (give the user a littl
-    // time to type)
-    input.addEventListener('input', debounce(() => {
-      this.search()
-    }, searchTimeout))
+    this.el.addEventListener('click', delegate('[data-clearFilters]', e => {
+      e.preventDefault()
+      this.clearFilters()
+
+      if(this.options.input) {
+        this.options.input.focus()
+      }
+    }))
 
+    // Facets provide the labels of their terms once loaded
+    this.subscribe('query-set filters-cleared facet-loaded', render)
+
+    render()
   },
 
   /**
-   * Listen for state changes in the view and perform general UI updates
+   * Announce loading, results & errors when the state of the view changes
    * @return {null}
    */
-  bindState() {
-
-    const { input } = this.options
-
-    this.subscribe('state-set', ({ loading, visible, foundPosts }) => {
-
-      const toggle = toggleClass(this.el)
-      toggle('is-loading', loading)
-      toggle('is-empty', !visible)
-
-      // Update the count and query UI elements
-      const { count, query } = this.elsArrays
+  bindAnnouncements() {
 
-      // Populate the message only when the View is not loading anymore
-      if(!loading) {
-        count.map(el => {
+    if(!this.options.announce) {
+      return
+    }
 
-          const { listing } = el.dataset
+    this.liveRegion = this.createLiveRegion()
 
-          if(this.listings[listing]) {
-            const { endpoint } = this.listings[listing]
-            const { foundPosts } = endpoint.state
-            el.innerHTML = foundPosts
-          } else {
-            el.innerHTML = foundPosts
-          }
+    this.subscribe('state-set', ({ loading, error }, prevState) => {
 
-        })
+      if(loading && !prevState.loading) {
+        this.announce(this.i18n.t('loading'))
+      }
 
-        query.map(el => el.innerHTML = input.value)
+      if(!loading && prevState.loading) {
+        this.announce(error ? this.i18n.t('error', { message: error.message }) : this.getResultsMessage())
       }
 
     })
@@ -373,74 +1761,99 @@ const searchViewProto = {
   },
 
   /**
-   * Handles loading more posts when the user scrolls down the bottom of the view
+   * Handles loading more posts when the user scrolls down to the bottom of a listing. A sentinel
+   * element placed after each `scroll` listing is observed within the `scrollWrapper` (or the
+   * window), the next page loads once it gets within the listing's `scrollMargin`
    * @return {null}
    */
   bindScroll() {
 
-    const { scrollWrapper } = this.els
-    let hasScroll = false
+    mapObject(this.listings)
+      .filter(({ scroll }) => scroll)
+      .map(listing => {
 
-    // Load the new set of posts
-    const get = debounce(() => {
+        const { rootEl, endpoint, scrollMargin } = listing
+        const sentinel = createElement('div', { 'aria-hidden': 'true', 'class': 'scroll-sentinel' })
 
-      mapObject(this.listings)
-        .filter(({ scroll }) => scroll)
-        .map(listing => {
-          const { endpoint } = listing
+        rootEl.parentNode.insertBefore(sentinel, rootEl.nextSibling)
 
-          if(endpoint.state.isFinished) {
+        const observer = this.observeScroll(sentinel, scrollMargin, () => {
+
+          // Only listings whose first page has been loaded scroll to the next one,
+          // failed requests are retried through the [data-retry] elements
+          if(!endpoint.getPage() || endpoint.state.isFinished || endpoint.state.error || endpoint.isLoading()) {
             return
           }
 
-          this.setState({ loading: true })
-
-          endpoint.get()
-            .then(p => {
-              this.setState({ loading: false })
-              this.populate(listing, p)
-            })
+          this.loadNext(listing)
+        })
 
+        // The sentinel might still be in view after populating, ie: when a page
+        // doesn't fill the viewport
+        this.subscribe('populated', (elements, populated) => {
+          if(populated === listing) {
+            observer.check()
+          }
         })
+      })
 
-    }, 300, true)
+  },
 
-    // Scroll handler helper
-    const onScroll = (name) => {
-      this.checkBottom(get)
-    }
+  /**
+   * Run a callback whenever an element gets within a distance from the bottom of the
+   * `scrollWrapper` (or the window). Uses an IntersectionObserver when available, falls back
+   * to scroll events otherwise.
+   *
+   * @param  {HTMLElement} el       Element to observe
+   * @param  {Number}      margin   Distance in pixels
+   * @param  {Function}    callback Callback function
+   * @return {Object} Observer with a `check()` method, to run the callback if the element is
+   * currently within the distance
+   */
+  observeScroll(el, margin, callback) {
 
-    mapObject(this.listings, (name, { scroll, endpoint }) => {
+    const { scrollWrapper } = this.els
 
-      if(!scroll) {
-        return
-      } else {
-        hasScroll = true
-      }
+    if(typeof IntersectionObserver !== 'undefined') {
 
-      if(scroll & !scrollWrapper) {
-        console.warn(`You are missing a scrollWrapper element to detect scroll loading for ${ name } listing. Make sure to add a [data-scrollWrapper] element inside the view root.`)
-        return
-      }
+      const observer = new IntersectionObserver(entries => {
+        if(entries.some(({ isIntersecting }) => isIntersecting)) {
+          callback()
+        }
+      }, {
+        root: scrollWrapper || null,
+        rootMargin: `0px 0px ${ margin }px 0px`
+      })
 
-      this.subscribe('scroll', () => onScroll(name))
+      observer.observe(el)
 
-    })
+      return {
+        // Observing again reports the current intersection
+        check() {
+          observer.unobserve(el)
+          observer.observe(el)
+        }
+      }
+    }
 
-    if(hasScroll) {
-      // Mousewheel & touchmove events
-      ['wheel', 'touchmove'].map(e => {
-        scrollWrapper.addEventListener(e, () => this.publish('scroll'))
-      })
+    const check = () => {
 
-      // Pressing down on the keyboard
-      window.addEventListener('keydown', e => {
-        if(e.keyCode == 40) {
-          this.publish('scroll')
-        }
-      })
+      const bottom = scrollWrapper ?
+        scrollWrapper.getBoundingClientRect().bottom :
+        window.innerHeight
+
+      if(el.getBoundingClientRect().top <= bottom + margin) {
+        callback()
+      }
     }
 
+    const onScroll = debounce(check, 100)
+    const root = scrollWrapper || window
+
+    root.addEventListener('scroll', onScroll)
+    window.addEventListener('resize', onScroll)
+
+    return { check }
   },
 
   /**
@@ -469,18 +1882,40 @@ const searchViewProto = {
       // Toggle the button visibility if the endpoint has finished or not
       endpoint.subscribe('state-set', ({ isFinished }) => toggle(isFinished))
 
-      btn.addEventListener('click', e => {
+      btn.addEventListener('click', e => this.loadNext(listing))
+    })
+  },
+
+  /**
+   * Bind clicks on `[data-retry]` elements (including the ones rendered by
+   * `errorTemplate`) to retry the failed requests. If the element has a
+   * `[data-listing]` attribute only that listing is retried.
+   *
+   * @return {null}
+   */
+  bindRetry() {
+
+    const { retry } = this.elsArrays
 
-        this.setState({ loading: true })
+    this.el.addEventListener('click', delegate('[data-retry]', e => {
 
-        endpoint.get()
-          .then(p => {
-            this.setState({ loading: false })
-            this.populate(listing, p)
-          })
+      const { listing } = closest(e.target, '[data-retry]').dataset
 
+      e.preventDefault()
+      this.retry(this.listings[listing])
+    }))
+
+    // Only show the retry elements while there's an error
+    const toggleRetry = ({ error }) => {
+      retry.map(el => {
+        const listing = this.listings[el.dataset.listing]
+        toggleClass(el, 'is-hidden', listing ? !listing.endpoint.state.error : !error)
       })
-    })
+    }
+
+    toggleRetry(this.state)
+    this.subscribe('state-set', toggleRetry)
+
   },
 
   /**
@@ -493,11 +1928,6 @@ const searchViewProto = {
 
     const taxToggles = collection(this.options.taxToggles)
 
-    if(!taxToggles.length) {
-      console.warn('you have not provided an type toggle elements')
-      return false
-    }
-
     /**
      * Handle the `tax-set` event, updates active classes and
      * updates the corresponding listing elements
@@ -546,40 +1976,423 @@ const searchViewProto = {
 
       // Update the listing elements
       this.setListingQuery(listing, query)
+      this.updateURL()
 
     })
 
+    if(!taxToggles.length && !this.options.facets.length && !this.elsArrays.filter.length) {
+      console.warn('you have not provided an type toggle elements')
+      return false
+    }
+
     // Attach click listeners to all taxonomy toggles
-    taxToggles.map(el => {
-      el.addEventListener('change', e => {
+    taxToggles.map(el => this.bindTaxToggle(el))
 
-        if(el.classList.contains('is-active')) {
-          return
-        }
+  },
+
+  /**
+   * Publish `tax-set` when a taxonomy toggle changes. Checkboxes toggle their value,
+   * radios & selects replace the taxonomy's value
+   *
+   * @param  {HTMLElement} el Toggle element, with `[data-taxonomy]` & `[data-listing]` attributes
+   * @return {null}
+   */
+  bindTaxToggle(el) {
+
+    el.addEventListener('change', e => {
+
+      if(el.classList.contains('is-active')) {
+        return
+      }
+
+      const { taxonomy, listing } = el.dataset
+      const slug = el.value
+      const shouldToggle = el.type == 'checkbox'
+
+      if(!this.listings[listing]) {
+        console.warn(`There is no listing matching this toggle.
+          Check that the [data-listing] attribute value is one of ["${ Object.keys(this.listings).join('","') }"].`)
+        return
+      }
+
+      this.publish('tax-set', taxonomy, slug, listing, shouldToggle)
+
+    })
+  },
+
+  /**
+   * Bind the `[data-filter]` controls (see `filterFactory`), their changes set the
+   * serialized parameters on their listing's query. Meta based filters get their own
+   * meta_query clause, after the ones of the listing's `config`
+   *
+   * @return {null}
+   */
+  bindFilters() {
+
+    // Next free meta_query clause of each listing
+    const metaIndexes = {}
+
+    mapObject(this.listings, (name, { config }) => {
+      metaIndexes[name] = Object.keys(config)
+        .map(key => key.match(/^meta_query\[(\d+)\]/))
+        .reduce((next, match) => match ? Math.max(next, parseInt(match[1]) + 1) : next, 0)
+    })
 
-        const { taxonomy, listing } = el.dataset
-        const slug = el.value
-        const shouldToggle = e.target.type == 'checkbox'
+    this.filters = this.elsArrays.filter
+      .filter(el => {
 
-        if(!this.listings[listing]) {
-          console.warn(`There is no listing matching this toggle.
+        if(!this.listings[el.dataset.listing]) {
+          console.warn(`There is no listing matching this filter.
             Check that the [data-listing] attribute value is one of ["${ Object.keys(this.listings).join('","') }"].`)
+          return false
+        }
+
+        return true
+      })
+      .map(el => {
+
+        const { listing } = el.dataset
+        const filter = filterFactory(el, metaIndexes[listing])
+
+        if(filter.usesMeta) {
+          metaIndexes[listing]++
+        }
+
+        return filter
+      })
+
+    this.subscribe('filter-set', (listingName, params) => {
+      this.setListingQuery(this.listings[listingName], params)
+      this.updateURL()
+    })
+
+    this.filters.map(filter => filter.el.addEventListener('change', () => {
+      this.publish('filter-set', filter.listing, filter.getParams())
+    }))
+
+    this.syncFilters()
+  },
+
+  /**
+   * Bind the `[data-sort]` controls of the listings (see `parseSort` for their values):
+   * selects & radios (with sort values as their options' values) or buttons & links
+   * (with the sort value in their `[data-sort]` attribute). Choosing a sort sets the
+   * listing's `orderby` & `order`, loading its first page again
+   *
+   * @return {null}
+   */
+  bindSort() {
+
+    const { sort } = this.elsArrays
+    const getValue = el => el.dataset.sort || el.value
+
+    const setSort = (el, value) => {
+
+      const listing = this.listings[el.dataset.listing]
+
+      if(!listing) {
+        console.warn(`There is no listing matching this sort control.
+          Check that the [data-listing] attribute value is one of ["${ Object.keys(this.listings).join('","') }"].`)
+        return
+      }
+
+      if(!sortMatches(value, listing.endpoint.getParams())) {
+        this.publish('sort-set', listing.name, value)
+      }
+    }
+
+    this.subscribe('sort-set', (listingName, value) => {
+      this.setListingQuery(this.listings[listingName], parseSort(value))
+      this.updateURL()
+    })
+
+    sort.map(el => {
+      if(el.tagName == 'SELECT' || el.type == 'radio') {
+        el.addEventListener('change', () => setSort(el, getValue(el)))
+      } else {
+        el.addEventListener('click', e => {
+          e.preventDefault()
+          setSort(el, getValue(el))
+        })
+      }
+    })
+
+    this.subscribe('query-set', listing => this.syncSort(listing.name))
+
+    mapObject(this.listings, name => this.syncSort(name))
+  },
+
+  /**
+   * Reflect a listing's current order on its `[data-sort]` controls: selects get the matching
+   * option, radios are checked & other controls get an `is-active` class & `aria-pressed`.
+   * Relevance options are disabled while the listing has no search term
+   *
+   * @param  {String} name Listing name
+   * @return {null}
+   */
+  syncSort(name) {
+
+    const { endpoint, searchParam } = this.listings[name]
+    const params = endpoint.getParams()
+    const hasSearch = !!params[searchParam]
+    const isRelevance = value => parseSort(value).orderby == 'relevance'
+
+    this.elsArrays.sort
+      .filter(el => el.dataset.listing == name)
+      .map(el => {
+
+        if(el.tagName == 'SELECT') {
+
+          const options = collection(el.options)
+          const active = options.filter(option => sortMatches(option.value, params))[0]
+
+          options.map(option => option.disabled = !hasSearch && isRelevance(option.value))
+          el.value = active ? active.value : ''
+
           return
         }
 
-        this.publish('tax-set', taxonomy, slug, listing, shouldToggle)
+        const value = el.dataset.sort || el.value
+        const active = sortMatches(value, params)
 
+        el.disabled = !hasSearch && isRelevance(value)
+
+        if(el.type == 'radio') {
+          el.checked = active
+        } else {
+          toggleClass(el, 'is-active', active)
+          el.setAttribute('aria-pressed', active ? 'true' : 'false')
+        }
       })
+  },
+
+  /**
+   * Create the facets, load their terms & bind their controls as taxonomy toggles
+   * @return {Promise} Resolves once all the facets have been rendered
+   */
+  bindFacets() {
+
+    this.facets = []
+
+    return Promise.all(this.options.facets.map(options => {
+
+      const listing = this.listings[options.listing]
+
+      if(!listing || !options.rootEl) {
+        console.warn(`Facets need a 'rootEl' & a 'listing' matching one of [${ Object.keys(this.listings) }]`)
+        return null
+      }
+
+      const { lang } = this.options
+
+      const facet = facetFactory(Object.assign({
+        client: listing.client || this.options.client,
+        allLabel: this.i18n.t('allTerms')
+      }, options, {
+        // Load the terms in the view's language, like the listings
+        query: Object.assign({}, lang ? { lang } : {}, options.query)
+      }))
+
+      this.facets.push(facet)
+
+      return facet.load()
+        .then(controls => {
+          controls.map(el => this.bindTaxToggle(el))
+          this.syncTaxToggles()
+          this.updateFacetCounts(listing)
+          this.publish('facet-loaded', facet)
+        })
+        .catch(error => console.warn(`The '${ options.taxonomy }' facet terms couldn't be loaded: ${ error.message }`))
+    }))
+  },
+
+  /**
+   * Get the result elements of all listings, in order, when in combobox mode
+   * @return {Array} Option elements
+   */
+  getOptions() {
+    return mapObject(this.listings)
+      .reduce((options, { rootEl }) => options.concat(collection(rootEl.querySelectorAll('[role="option"]'))), [])
+  },
+
+  /**
+   * Set the active option of the combobox
+   *
+   * @param {HTMLElement|null} option Option element to activate, null to clear the active option
+   * @return {null}
+   */
+  setActiveOption(option) {
+
+    const { input } = this.options
+
+    this.getOptions().map(el => {
+      el.setAttribute('aria-selected', el === option ? 'true' : 'false')
+      toggleClass(el, 'is-active', el === option)
+    })
+
+    if(option) {
+      input.setAttribute('aria-activedescendant', option.id)
+
+      if(option.scrollIntoView) {
+        option.scrollIntoView({ block: 'nearest' })
+      }
+    } else {
+      input.removeAttribute('aria-activedescendant')
+    }
+
+    this.activeOption = option
+  },
+
+  /**
+   * Move the active option of the combobox
+   *
+   * @param  {Number} step 1 to move down, -1 to move up. Wraps around the ends of the results
+   * @return {null}
+   */
+  moveActiveOption(step = 1) {
+
+    const options = this.getOptions()
+
+    if(!options.length) {
+      return
+    }
+
+    const index = options.indexOf(this.activeOption)
+
+    const next = index < 0 ?
+      (step > 0 ? 0 : options.length - 1) :
+      (index + step + options.length) % options.length
+
+    this.setActiveOption(options[next])
+  },
+
+  /**
+   * Bind the ARIA combobox behaviour to the input & listings, if `combobox` is enabled
+   * @return {null}
+   */
+  bindCombobox() {
+
+    const { input, combobox } = this.options
+
+    if(!combobox || !input) {
+      return
+    }
+
+    const id = input.id || `search-view-${ ++uid }`
+
+    input.id = id
+    input.setAttribute('role', 'combobox')
+    input.setAttribute('aria-autocomplete', 'list')
+    input.setAttribute('aria-expanded', 'false')
+
+    input.setAttribute('aria-controls', mapObject(this.listings, (name, { rootEl, label }) => {
+
+      rootEl.id = rootEl.id || `${ id }-${ name }`
+      rootEl.setAttribute('role', 'listbox')
+
+      if(label) {
+        rootEl.setAttribute('aria-label', label)
+      }
+
+      return rootEl.id
+    }).join(' '))
+
+    this.activeOption = null
+
+    // Results become options of the listbox
+    this.subscribe('populated', (elements, listing, posts) => {
+
+      if(posts.length) {
+        elements.map(el => {
+          el.id = el.id || `${ listing.rootEl.id }-option-${ ++uid }`
+          el.setAttribute('role', 'option')
+          el.setAttribute('aria-selected', 'false')
+        })
+      }
+
+      // The active option might have been removed, or patched by a keyed listing
+      if(this.activeOption) {
+        this.setActiveOption(this.el.contains(this.activeOption) ? this.activeOption : null)
+      }
+    })
+
+    this.subscribe('state-set', ({ visible }) => {
+      input.setAttribute('aria-expanded', visible ? 'true' : 'false')
+    })
+
+    input.addEventListener('keydown', e => {
+
+      switch(e.key) {
+
+        case 'ArrowDown':
+        case 'ArrowUp':
+          e.preventDefault()
+          this.moveActiveOption(e.key == 'ArrowDown' ? 1 : -1)
+          break
+
+        case 'Enter': {
+
+          if(!this.activeOption) {
+            return
+          }
+
+          e.preventDefault()
+
+          const link = selectorMatches(this.activeOption, 'a[href]') ?
+            this.activeOption :
+            this.activeOption.querySelector('a[href]')
+
+          if(link) {
+            link.click()
+          }
+          break
+        }
+
+        case 'Escape':
+          e.preventDefault()
+
+          // Clear the search like removing its filter, dropping a pending search
+          if(this.debouncedSearch) {
+            this.debouncedSearch.cancel()
+          }
+
+          this.setActiveOption(null)
+          this.removeFilter({ type: 'search' })
+          input.focus()
+          break
+      }
+
     })
 
+    // Hovering a result makes it the active option
+    this.el.addEventListener('mouseover', delegate('[role="option"]', e => {
+      this.setActiveOption(closest(e.target, '[role="option"]'))
+    }))
+
+    // Clicking inside the results keeps the focus in the input
+    this.el.addEventListener('mousedown', delegate('[role="option"]', e => {
+      e.preventDefault()
+      input.focus()
+    }))
+
   },
 
   init() {
     this.bindInput()
     this.bindTaxToggles()
+    this.bindFacets()
+    this.bindFilters()
+    this.bindSort()
+    this.bindFacetCounts()
+    this.bindActiveFilters()
     this.bindState()
+    this.bindLoading()
     this.bindScroll()
     this.bindLoadMore()
+    this.bindRetry()
+    this.bindHistory()
+    this.bindCombobox()
+    this.bindAnnouncements()
   }
 
 }
@@ -601,7 +2414,8 @@ export default function searchViewFactory(el, config = {}) {
   const instance   = Object.assign(Object.create(searchViewProto), stateMixin({
     loading: false,
     visible: false,
-    foundPosts: 0
+    foundPosts: 0,
+    error: null
   }), templateMixin())
 
   instance.listings = {}
@@ -622,6 +2436,11 @@ export default function searchViewFactory(el, config = {}) {
   // Assign options
   instance.options = Object.assign({}, defaults, config)
 
+  instance.i18n = i18nFactory({
+    locale: instance.options.locale,
+    messages: instance.options.messages
+  })
+
   if(!Object.keys(instance.options.listings).length) {
     console.warn('You have not specified any listings to use in the search module')
   }
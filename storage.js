@@ -0,0 +1,239 @@
+/**
+ *
+ * Storage
+ *
+ * Persistent storage adapters used to keep API responses between page loads.
+ *
+ * Every adapter implements the same asynchronous interface, so they can be
+ * swapped for one another (ie: `memoryStorage()` in tests):
+ *
+ * ```
+ * adapter.get(key)        // Promise resolving with the stored entry or undefined
+ * adapter.set(key, entry) // Promise resolving once stored
+ * adapter.delete(key)     // Promise resolving once deleted
+ * ```
+ *
+ * Entries must be plain JSON serializable objects.
+ *
+ * Adapters don't limit the number of entries by themselves, wrap them with
+ * `boundedStorage()` to keep only the most recently stored ones.
+ *
+ */
+
+/**
+ * Shared instance returned by `defaultStorage()`
+ * @type {Object|null}
+ */
+let sharedStorage = null
+
+/**
+ *
+ * In memory storage adapter, nothing persists between page loads.
+ *
+ * @return {Object} Storage adapter
+ *
+ */
+export function memoryStorage() {
+
+  const entries = {}
+
+  return {
+    get(key) {
+      return Promise.resolve(entries[key])
+    },
+
+    set(key, entry) {
+      entries[key] = entry
+      return Promise.resolve()
+    },
+
+    delete(key) {
+      delete entries[key]
+      return Promise.resolve()
+    }
+  }
+}
+
+/**
+ *
+ * localStorage adapter. Write errors (ie: storage quota exceeded, private
+ * browsing) are ignored.
+ *
+ * @param  {String} prefix Prefix added to every key
+ * @return {Object} Storage adapter
+ *
+ */
+export function localStorageAdapter(prefix = 'searchView:') {
+
+  return {
+    get(key) {
+      return new Promise(resolve => {
+        const value = window.localStorage.getItem(prefix + key)
+        resolve(value ? JSON.parse(value) : undefined)
+      })
+      .catch(() => undefined)
+    },
+
+    set(key, entry) {
+      return new Promise(resolve => {
+        window.localStorage.setItem(prefix + key, JSON.stringify(entry))
+        resolve()
+      })
+      .catch(() => {})
+    },
+
+    delete(key) {
+      return new Promise(resolve => {
+        window.localStorage.removeItem(prefix + key)
+        resolve()
+      })
+      .catch(() => {})
+    }
+  }
+}
+
+/**
+ *
+ * IndexedDB adapter. If the database can't be opened (ie: not supported or
+ * blocked by the browser), falls back to `localStorageAdapter()`.
+ *
+ * @param  {String} name      Database name
+ * @param  {String} storeName Object store name
+ * @return {Object} Storage adapter
+ *
+ */
+export function indexedDBStorage(name = 'searchView', storeName = 'responses') {
+
+  let db = null
+
+  const fallback = localStorageAdapter(name + ':')
+
+  const open = () => {
+
+    if(!db) {
+      db = new Promise((resolve, reject) => {
+
+        if(!window.indexedDB) {
+          return reject()
+        }
+
+        const request = window.indexedDB.open(name, 1)
+
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+
+    return db
+  }
+
+  /**
+   * Run a request against the object store, using the fallback adapter if the
+   * database isn't available
+   *
+   * @param  {String} mode     Transaction mode ('readonly' or 'readwrite')
+   * @param  {Function} operation Receives the object store, returns an IDBRequest
+   * @param  {Function} onFallback Runs the operation against the fallback adapter
+   * @return {Promise} Resolves with the request result
+   */
+  const run = (mode, operation, onFallback) => open()
+    .then(database => new Promise((resolve, reject) => {
+      const request = operation(database.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }), onFallback)
+
+  return {
+    get(key) {
+      return run('readonly', store => store.get(key), () => fallback.get(key))
+        .catch(() => undefined)
+    },
+
+    set(key, entry) {
+      return run('readwrite', store => store.put(entry, key), () => fallback.set(key, entry))
+        .catch(() => {})
+    },
+
+    delete(key) {
+      return run('readwrite', store => store.delete(key), () => fallback.delete(key))
+        .catch(() => {})
+    }
+  }
+}
+
+/**
+ *
+ * Limit the number of entries of an adapter. The keys & storage times are kept
+ * in an index entry (`__index`), when storing an entry makes the adapter exceed
+ * `maxEntries`, the oldest ones get deleted.
+ *
+ * @param  {Object} adapter    Storage adapter
+ * @param  {Number} maxEntries Maximum number of entries
+ * @return {Object} Storage adapter
+ *
+ */
+export function boundedStorage(adapter, maxEntries = 200) {
+
+  const indexKey = '__index'
+
+  // Index updates are queued, so that concurrent writes don't overwrite each other
+  let queue = Promise.resolve()
+
+  const updateIndex = update => {
+    queue = queue
+      .then(() => adapter.get(indexKey))
+      .then(index => adapter.set(indexKey, update(Object.assign({}, index))))
+      .catch(() => {})
+
+    return queue
+  }
+
+  return {
+    get(key) {
+      return adapter.get(key)
+    },
+
+    set(key, entry) {
+      return adapter.set(key, entry)
+        .then(() => updateIndex(index => {
+
+          index[key] = Date.now()
+
+          const keys = Object.keys(index).sort((a, b) => index[a] - index[b])
+
+          keys.slice(0, Math.max(0, keys.length - maxEntries)).map(oldKey => {
+            delete index[oldKey]
+            adapter.delete(oldKey)
+          })
+
+          return index
+        }))
+    },
+
+    delete(key) {
+      return adapter.delete(key)
+        .then(() => updateIndex(index => {
+          delete index[key]
+          return index
+        }))
+    }
+  }
+}
+
+/**
+ *
+ * Get the storage adapter shared by all the endpoints that enable
+ * persistence without providing their own adapter, keeping up to 200 entries.
+ *
+ * @return {Object} Storage adapter
+ *
+ */
+export default function defaultStorage() {
+
+  if(!sharedStorage) {
+    sharedStorage = boundedStorage(indexedDBStorage())
+  }
+
+  return sharedStorage
+}
@@ -139,12 +139,13 @@ export function mapObject(object, callback = (key, val) => val) {
  *   Returns a function, that, as long as it continues to be invoked, will not
  *   be triggered. The function will be called after it stops being called for
  *   N milliseconds. If `immediate` is passed, trigger the function on the
- *   leading edge, instead of the trailing.
+ *   leading edge, instead of the trailing. Its `cancel()` method drops a
+ *   pending call.
  */
 
 export function debounce(func, wait, immediate) {
   let timeout
-  return function() {
+  const debounced = function() {
     let context = this, args = arguments
     let later = function() {
       timeout = null
@@ -156,6 +157,13 @@ export function debounce(func, wait, immediate) {
     timeout = setTimeout(later, wait)
     if (callNow) func.apply(context, args)
   }
+
+  debounced.cancel = function() {
+    clearTimeout(timeout)
+    timeout = null
+  }
+
+  return debounced
 }
 
 
@@ -216,14 +224,17 @@ export function serializeObject(obj) {
  *
  * Convert URL parameters to object
  *
+ * @param  {String} str Query string to parse, defaults to the current location's
+ * @return {Object} Parameters object
+ *
  */
 
-export function extractURLParameters(str) {
+export function extractURLParameters(str = document.location.search) {
 
   let obj = {}
 
-  if(document.location.search) {
-    document.location.search
+  if(str) {
+    str
       .replace(/(^\?)/,'')
       .split('&')
       .map(n => {
@@ -576,6 +587,181 @@ export function truncateWords(str = '', characters = 10, ellipsis = true) {
 }
 
 
+/**
+ *
+ * Format a message, replacing its `{key}` placeholders with the matching values.
+ * If the message is a function, it gets called with the values instead.
+ *
+ * Usage:
+ *
+ * formatMessage('{count} results for "{query}"', { count: 2, query: 'foo' }) // '2 results for "foo"'
+ *
+ * @param  {String|Function} message Message template
+ * @param  {Object} values Placeholder values
+ * @return {String} Formatted message
+ *
+ */
+export function formatMessage(message = '', values = {}) {
+
+  if(typeof message == 'function') {
+    return message(values)
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, key) => values.hasOwnProperty(key) ? values[key] : match)
+}
+
+
+/**
+ *
+ * Escape the HTML special characters of a string
+ *
+ * @param  {String} str String to escape
+ * @return {String} Escaped string
+ *
+ */
+export function escapeHTML(str = '') {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ *
+ * Fold a string for comparison: lowercase & without diacritics ('Éco' -> 'eco')
+ *
+ * @param  {String} str String to fold
+ * @return {String} Folded string
+ *
+ */
+export function foldText(str = '') {
+
+  const lower = String(str).toLowerCase()
+
+  return lower.normalize ?
+    lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '') :
+    lower
+}
+
+
+/**
+ *
+ * Extract snippets of a text around the words of a search query, so that the
+ * matching passage of a long content is visible (unlike `truncateWords`, which
+ * always cuts from the start).
+ *
+ * Markup is stripped. Matching is case & diacritic insensitive, windows with
+ * most of the query words are preferred & fragments are cut on word boundaries,
+ * with ellipses where the text continues.
+ *
+ * If no word of the query is found, the start of the text is returned.
+ *
+ * Usage:
+ *
+ * getSnippet(post.content.rendered, 'climate policy', { length: 120, fragments: 2 })
+ *
+ * @param  {String} str     Text or markup to extract the snippet from
+ * @param  {String} query   Search query
+ * @param  {Object} options
+ * @param  {Number} options.length    Number of characters of each fragment
+ * @param  {Number} options.fragments Maximum number of fragments
+ * @param  {String} options.ellipsis  String marking the text continues
+ * @param  {String} options.separator String used to join fragments
+ * @return {String} Snippet
+ *
+ */
+export function getSnippet(str = '', query = '', { length = 160, fragments = 1, ellipsis = '…', separator = ' … ' } = {}) {
+
+  const text = stripTags(str).replace(/\s+/g, ' ').trim()
+
+  const terms = foldText(query).split(/\s+/).filter(term => term.length)
+
+  // Fold the text character by character, keeping track of the original positions
+  let folded = ''
+  const positions = []
+
+  for(let i = 0; i < text.length; i++) {
+    const char = foldText(text[i])
+    for(let k = 0; k < char.length; k++) {
+      positions.push(i)
+    }
+    folded += char
+  }
+
+  // Every occurrence of every term: { index, end, term }
+  const matches = []
+
+  terms.map(term => {
+    let index = folded.indexOf(term)
+    while(index > -1) {
+      matches.push({ index: positions[index], end: positions[index + term.length - 1] + 1, term })
+      index = folded.indexOf(term, index + term.length)
+    }
+  })
+
+  if(!matches.length) {
+    return truncateWords(text, length, !!ellipsis).replace(/\.\.\.$/, ellipsis)
+  }
+
+  // Score a window centered on each match by the number of distinct terms it contains
+  const windows = matches
+    .map(({ index, end: matchEnd }) => {
+
+      // The window always contains the whole match, even if it's longer than `length`
+      let start = Math.max(0, Math.min(index - Math.floor((length - (matchEnd - index)) / 2), text.length - length, index))
+      let end = Math.min(text.length, Math.max(start + length, matchEnd))
+
+      // Move the cuts to word boundaries (so entities aren't split either), within
+      // the window if possible, otherwise outside of it
+      if(start > 0 && text[start - 1] != ' ') {
+        const space = text.indexOf(' ', start)
+        start = space > -1 && space < index ? space + 1 : text.lastIndexOf(' ', start) + 1
+      }
+
+      if(end < text.length && text[end] != ' ') {
+        const space = text.lastIndexOf(' ', end)
+        const next = text.indexOf(' ', end)
+        end = space >= matchEnd ? space : next > -1 ? next : text.length
+      }
+
+      const found = {}
+
+      matches
+        .filter(match => match.index >= start && match.index < end)
+        .map(match => found[match.term] = (found[match.term] || 0) + 1)
+
+      const distinct = Object.keys(found).length
+      const total = Object.keys(found).reduce((sum, term) => sum + found[term], 0)
+
+      return { start, end, score: distinct * 100 + total }
+    })
+    .sort((a, b) => b.score - a.score || a.start - b.start)
+
+  // Keep the best non overlapping windows
+  const selected = []
+
+  windows.map(win => {
+    if(selected.length < fragments && !selected.some(s => win.start < s.end && win.end > s.start)) {
+      selected.push(win)
+    }
+  })
+
+  return selected
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end }, i) => {
+
+      const fragment = text.slice(start, end).trim()
+
+      return (i == 0 && start > 0 ? ellipsis : '') +
+        fragment +
+        (i == selected.length - 1 && end < text.length ? ellipsis : '')
+    })
+    .join(separator)
+}
+
+
 /**
 *
 * Convert array to object
@@ -608,12 +794,23 @@ export function arrayToObj(array, fn) {
  *
  * @param  {String} key Key for the query
  * @param  {String} value Value for the query
- * @return {[type]} Formatted meta_query object
+ * @param  {Number} index Index of the clause within the meta_query
+ * @param  {Object} options Optional `compare` (ie: '>=') & `type` (ie: 'NUMERIC') of the clause
+ * @return {Object} Formatted meta_query object
  */
-export function getMetaQuery(key = '', value = '', index = 0) {
+export function getMetaQuery(key = '', value = '', index = 0, { compare, type } = {}) {
   const query = {}
   query[`meta_query[${ index }][key]`] = key
   query[`meta_query[${ index }][value]`] = value
+
+  if(compare) {
+    query[`meta_query[${ index }][compare]`] = compare
+  }
+
+  if(type) {
+    query[`meta_query[${ index }][type]`] = type
+  }
+
   return query
 }
 
@@ -0,0 +1,329 @@
+/**
+ *
+ * Virtual List
+ *
+ * Renders long lists keeping only the visible items (plus a few around them)
+ * in the DOM. The space taken by the items that aren't rendered is kept by
+ * two spacer elements, so the scroll height & position stay the same.
+ *
+ * Items can have different heights: each item is measured once rendered,
+ * the ones that haven't been rendered yet are estimated from the average of
+ * the measured ones.
+ *
+ * Usage:
+ *
+ * ```
+ * const list = virtualListFactory(ulEl, {
+ *   scrollEl: wrapperEl,
+ *   render: post => templateMixin().compile(post, itemTemplate)
+ * })
+ *
+ * list.setItems(posts)
+ * list.append(morePosts)
+ * ```
+ *
+ */
+
+import { createElement } from './utils'
+
+/**
+ * Virtual list defaults
+ * @type {Object}
+ */
+const defaults = {
+
+  /**
+   * Scrollable element containing the list, or the window
+   * @type {HTMLElement|Window}
+   */
+  scrollEl: window,
+
+  /**
+   * Height in pixels of the items that haven't been measured, until
+   * one of them is
+   * @type {Number}
+   */
+  estimatedHeight: 80,
+
+  /**
+   * Number of items rendered above & below the visible ones
+   * @type {Number}
+   */
+  overscan: 5,
+
+  /**
+   * Render an item, should return a single HTML Element
+   * @type {Function}
+   */
+  render: (item, index) => createElement('div')
+}
+
+/**
+ *
+ * Creates a virtual list within a root element. The root element should only
+ * contain the list's items, it gets the spacers as its first & last children.
+ *
+ * @param  {HTMLElement} rootEl Element containing the items
+ * @param  {Object} options Virtual list options, see `defaults`
+ * @return {Object} Virtual list instance
+ *
+ */
+export default function virtualListFactory(rootEl, options = {}) {
+
+  const { scrollEl, estimatedHeight, overscan, render } = Object.assign({}, defaults, options)
+
+  const spacerTag = /^(UL|OL)$/.test(rootEl.tagName) ? 'li' : 'div'
+  const before = createElement(spacerTag, { 'aria-hidden': 'true', 'class': 'virtual-spacer' })
+  const after = createElement(spacerTag, { 'aria-hidden': 'true', 'class': 'virtual-spacer' })
+
+  /**
+   * Items of the list
+   * @type {Array}
+   */
+  let items = []
+
+  /**
+   * Measured height of each item, undefined until rendered
+   * @type {Array}
+   */
+  let heights = []
+
+  /**
+   * Rendered elements, by item index
+   * @type {Object}
+   */
+  let rendered = {}
+
+  let measuredTotal = 0
+  let measuredCount = 0
+  let frame = null
+
+  // The list keeps the scroll position itself when items above get measured
+  rootEl.style.overflowAnchor = 'none'
+
+  const remove = el => el.parentNode && el.parentNode.removeChild(el)
+
+  const heightOf = i => heights[i] !== undefined ?
+    heights[i] :
+    measuredCount ? measuredTotal / measuredCount : estimatedHeight
+
+  const sumHeights = (from, to) => {
+    let sum = 0
+    for(let i = from; i < to; i++) {
+      sum += heightOf(i)
+    }
+    return sum
+  }
+
+  /**
+   * Get the visible area, in pixels relative to the top of the list
+   * @return {Object} `{ top, bottom }`
+   */
+  const viewport = () => {
+
+    const listTop = rootEl.getBoundingClientRect().top
+
+    if(scrollEl === window) {
+      return { top: -listTop, bottom: window.innerHeight - listTop }
+    }
+
+    const top = scrollEl.getBoundingClientRect().top - listTop
+
+    return { top, bottom: top + scrollEl.clientHeight }
+  }
+
+  /**
+   * Measure an element's height, margins included
+   * @param  {HTMLElement} el
+   * @return {Number}
+   */
+  const measure = el => {
+    const style = window.getComputedStyle(el)
+    return el.getBoundingClientRect().height + (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0)
+  }
+
+  /**
+   * Render the items within the visible area & update the spacers
+   * @param  {Number} pass Number of times the update ran in a row, as
+   * measuring items can change the visible range
+   * @return {null}
+   */
+  const update = (pass = 0) => {
+
+    frame = null
+
+    // The spacers might have been removed along with the list's content
+    if(before.parentNode !== rootEl) {
+      rootEl.insertBefore(before, rootEl.firstChild)
+    }
+
+    if(after.parentNode !== rootEl) {
+      rootEl.insertBefore(after, before.nextSibling)
+    }
+
+    const { top, bottom } = viewport()
+
+    // Find the first visible item & the first one below the visible area
+    let first = 0
+    let offset = 0
+
+    while(first < items.length && offset + heightOf(first) <= top) {
+      offset += heightOf(first++)
+    }
+
+    let last = first
+
+    while(last < items.length && offset < bottom) {
+      offset += heightOf(last++)
+    }
+
+    const start = Math.max(0, first - overscan)
+    const end = Math.min(items.length, last + overscan)
+
+    // Remove the elements out of the range
+    Object.keys(rendered)
+      .filter(i => i < start || i >= end)
+      .map(i => {
+        remove(rendered[i])
+        delete rendered[i]
+      })
+
+    // Insert the missing ones, in order, between the spacers
+    let ref = before.nextSibling
+
+    for(let i = start; i < end; i++) {
+
+      if(!rendered[i]) {
+        rendered[i] = render(items[i], i)
+      }
+
+      if(rendered[i] === ref) {
+        ref = ref.nextSibling
+      } else {
+        rootEl.insertBefore(rendered[i], ref)
+      }
+    }
+
+    // Measure the rendered items, keeping the scroll position if the
+    // items above the visible ones changed height
+    let shift = 0
+    let changed = false
+
+    for(let i = start; i < end; i++) {
+
+      const height = measure(rendered[i])
+      const previous = heightOf(i)
+
+      if(height === heights[i]) {
+        continue
+      }
+
+      if(heights[i] === undefined) {
+        measuredCount++
+      } else {
+        measuredTotal -= heights[i]
+      }
+
+      if(i < first) {
+        shift += height - previous
+      }
+
+      measuredTotal += height
+      heights[i] = height
+      changed = true
+    }
+
+    before.style.height = `${ sumHeights(0, start) }px`
+    after.style.height = `${ sumHeights(end, items.length) }px`
+
+    if(shift && scrollEl === window) {
+      window.scrollBy(0, shift)
+    } else if(shift) {
+      scrollEl.scrollTop += shift
+    }
+
+    if(changed && pass < 2) {
+      update(pass + 1)
+    }
+  }
+
+  const scheduleUpdate = () => {
+    if(!frame) {
+      frame = window.requestAnimationFrame(() => update())
+    }
+  }
+
+  scrollEl.addEventListener('scroll', scheduleUpdate)
+  window.addEventListener('resize', scheduleUpdate)
+
+  return {
+
+    /**
+     * Replace the items of the list
+     * @param {Array} list Items
+     * @return {null}
+     */
+    setItems(list = []) {
+
+      Object.keys(rendered).map(i => remove(rendered[i]))
+
+      items = list.slice()
+      heights = []
+      rendered = {}
+      measuredTotal = 0
+      measuredCount = 0
+
+      update()
+    },
+
+    /**
+     * Add items to the end of the list
+     * @param  {Array} list Items
+     * @return {null}
+     */
+    append(list = []) {
+      items = items.concat(list)
+      update()
+    },
+
+    /**
+     * Number of items in the list
+     * @return {Number}
+     */
+    size() {
+      return items.length
+    },
+
+    /**
+     * Get the rendered elements, in order
+     * @return {Array} Elements
+     */
+    getElements() {
+      return Object.keys(rendered)
+        .sort((a, b) => a - b)
+        .map(i => rendered[i])
+    },
+
+    /**
+     * Re-render the visible items, ie: after the list was hidden or resized
+     * @return {null}
+     */
+    refresh() {
+      update()
+    },
+
+    /**
+     * Remove the event listeners
+     * @return {null}
+     */
+    destroy() {
+      scrollEl.removeEventListener('scroll', scheduleUpdate)
+      window.removeEventListener('resize', scheduleUpdate)
+
+      if(frame) {
+        window.cancelAnimationFrame(frame)
+        frame = null
+      }
+    }
+  }
+}